@@ -0,0 +1,105 @@
+// Shared by the panel pages (admin, productos, clientes): signed-in user, sign-out and hiding
+// what the user's role cannot use. Elements marked data-permission="campaigns.manage" are hidden
+// unless the user has that permission; the server checks it again on every request.
+(function () {
+  const nativeFetch = window.fetch.bind(window)
+
+  // An expired session sends the user back to the login page
+  window.fetch = async (input, init) => {
+    const res = await nativeFetch(input, init)
+    const url = typeof input === "string" ? input : input.url
+    if (res.status === 401 && url.startsWith("/api/") && !url.startsWith("/api/admin/login")) {
+      window.location.href = "/login.html?next=" + encodeURIComponent(window.location.pathname + window.location.search)
+    }
+    return res
+  }
+
+  // Text for innerHTML: orders, clients and portal requests carry what public forms sent
+  window.escapeHtml = (value) => String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+
+  // Store currencies (/api/currency) and amounts in their formats, the way the storefront shows them
+  window.PANEL_CURRENCY = { primary: "USD", secondary: "", formats: {}, rate: null }
+  window.currencyReady = nativeFetch("/api/currency")
+    .then(res => (res.ok ? res.json() : null))
+    .then(data => { if (data) window.PANEL_CURRENCY = data })
+    .catch(() => {})
+
+  // "$12,50" or "Bs. 456,25"; `code` defaults to the primary currency
+  window.formatMoney = (amount, code) => {
+    const c = code || window.PANEL_CURRENCY.primary
+    const f = window.PANEL_CURRENCY.formats[c] || { symbol: c, locale: "es-VE", decimals: 2 }
+    const n = Number(amount)
+    const decimals = Number.isInteger(n) ? 0 : f.decimals
+    const space = /[A-Za-zÀ-ÿ.]$/.test(f.symbol) ? " " : ""
+    return f.symbol + space + n.toLocaleString(f.locale, { minimumFractionDigits: decimals, maximumFractionDigits: f.decimals })
+  }
+
+  // "$12,50 (Bs. 456,25)" for an amount in either store currency, converted with today's rate;
+  // only the first without one
+  window.dualMoney = (amount, code) => {
+    const { primary, secondary, formats, rate } = window.PANEL_CURRENCY
+    const from = code || primary
+    const to = from === primary ? secondary : from === secondary ? primary : ""
+    if (!to || !rate) return window.formatMoney(amount, from)
+    const f = 10 ** ((formats[to] || {}).decimals ?? 2)
+    const other = Math.round((from === primary ? Number(amount) * rate : Number(amount) / rate) * f) / f
+    return `${window.formatMoney(amount, from)} (${window.formatMoney(other, to)})`
+  }
+
+  window.PANEL_USER = null
+  window.panelCan = (permission) => !!window.PANEL_USER && window.PANEL_USER.permissions.includes(permission)
+
+  const domReady = new Promise(resolve => {
+    if (document.readyState === "loading") document.addEventListener("DOMContentLoaded", resolve)
+    else resolve()
+  })
+
+  async function logout() {
+    await nativeFetch("/api/admin/logout", { method: "POST" })
+    window.location.href = "/login.html"
+  }
+
+  async function changePassword() {
+    const currentPassword = prompt("Contraseña actual:")
+    if (!currentPassword) return
+    const newPassword = prompt("Contraseña nueva (mínimo 8 caracteres):")
+    if (!newPassword) return
+    const res = await nativeFetch("/api/admin/me/password", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ currentPassword, newPassword })
+    })
+    const data = await res.json().catch(() => ({}))
+    if (res.ok) return alert("Contraseña actualizada. Las demás sesiones abiertas se cerraron.")
+    alert(data.error === "weak_password" ? "La contraseña nueva es muy corta." : data.error === "invalid_credentials" ? "La contraseña actual no es correcta." : "No se pudo cambiar la contraseña.")
+  }
+
+  function renderUserBar(user) {
+    const el = document.getElementById("panel-user")
+    if (!el) return
+    el.innerHTML = `
+      <span class="text-sm text-gray-600"></span>
+      <button type="button" data-action="password" class="text-sm text-indigo-600 hover:text-indigo-800">Contraseña</button>
+      <button type="button" data-action="logout" class="text-sm text-red-600 hover:text-red-800">Salir</button>`
+    el.querySelector("span").textContent = `${user.name} (${user.roleLabel})`
+    el.querySelector("[data-action=password]").addEventListener("click", changePassword)
+    el.querySelector("[data-action=logout]").addEventListener("click", logout)
+  }
+
+  // Resolves with the user once the page has been adjusted to the role
+  window.panelReady = Promise.all([nativeFetch("/api/admin/me").then(res => (res.ok ? res.json() : null)), domReady])
+    .then(([data]) => {
+      if (!data) return null
+      window.PANEL_USER = data.user
+      document.querySelectorAll("[data-permission]").forEach(el => {
+        if (!window.panelCan(el.dataset.permission)) el.style.display = "none"
+      })
+      renderUserBar(data.user)
+      return data.user
+    })
+})()
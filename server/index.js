@@ -5,9 +5,32 @@ import path from "path"
 import { fileURLToPath } from "url"
 import fs from "fs"
 import multer from "multer"
-import nodemailer from "nodemailer"
-import crypto from "crypto"
-// DB y notificaciones deshabilitados para entorno de prueba de catálogo
+import { hashPassword, verifyPassword, needsRehash, generatePassword, generateToken, hashToken } from "./lib/auth.js"
+import { createMailTransport, sendPortalCredentials, buildPortalCredentialsText } from "./lib/email.js"
+import { tierForClient, resolvePrice, priceProductForTier } from "./lib/pricing.js"
+import { detectFormat, parseImportFile, planImport, applyImportPlan } from "./lib/importer.js"
+import { STOCK_MOVEMENT_TYPES, hasStockTracking, minStockFor, stockLevel, syncAvailability, stockDelta, applyStockMovement } from "./lib/inventory.js"
+import { initDb } from "./lib/db.js"
+import * as repo from "./lib/repository.js"
+import { UNSUBSCRIBE_REASONS, campaignQrLink, campaignStats, campaignThrottle, filterSuppressed, normalizeEmails, normalizeSource, publicCampaign, readTrackingToken, readUnsubscribeToken, recordCampaignEvent, renderCampaignEmail, setCampaignStatus, startCampaignQueue, wakeCampaignQueue } from "./lib/campaigns.js"
+import { unsubscribePage } from "./lib/unsubscribe.js"
+import { DEFAULT_CAMPAIGN_TEMPLATE, templateFields } from "./lib/templates.js"
+import { qrPng, qrSvg } from "./lib/qr.js"
+import { flyerPage } from "./lib/flyer.js"
+import { resolveSegment, segmentFields, segmentPreview } from "./lib/segments.js"
+import { PERMISSIONS, ROLES, roleAllows, rolePermissions } from "./lib/roles.js"
+import { AUDIT_ENTITIES, productRevision, recordAudit, recordListAudit } from "./lib/audit.js"
+import { searchFilters, searchProducts } from "./lib/search.js"
+import { catalogCards, displayName, isVariantParent, sellableProducts, variantFields } from "./lib/variants.js"
+import { isKit, kitFields, kitLineItems, kitsUsing, resolveKits } from "./lib/kits.js"
+import { buildCoPurchase, relatedIds, topPairs } from "./lib/related.js"
+import { convert, currencyConfig, currencyFields, currencyPairChange, formatDual, inStoreCurrency, orderCurrency, rateText, roundMoney, storeCurrency, withAmounts } from "./lib/currency.js"
+import { adjustmentFields, planAdjustment, priceChanges, rollbackItems, setTierPrice } from "./lib/adjustments.js"
+import { loadLogo, priceListOptions, priceListSections, renderPriceList, slugify } from "./lib/pricelist.js"
+import { MAX_UPLOAD_SIZE, ORPHAN_GRACE_MS, checkUpload, contentHash, listUploads, mediaFilename, mediaReferences, sniffType } from "./lib/media.js"
+import { assistantTurn, chatTurn, loadConversation, replyText } from "./lib/assistant.js"
+import { createWhatsAppSender, inboundMessages, normalizePhone, sellerNumbers, validSignature, verifyWebhook } from "./lib/whatsapp.js"
+import { DEFAULT_TIME_ZONE, TELEGRAM_HELP, leadNotice, notifyAdmin, orderNotice, ordersDigest, parseCommand, registrationNotice, sendText as sendTelegramText, storeDay, validWebhookSecret } from "./lib/telegram.js"
 
 dotenv.config()
 
@@ -15,7 +38,12 @@ const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 
 const app = express()
-app.use(express.json())
+// The WhatsApp webhook signature is computed over the exact bytes received
+app.use(express.json({
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith("/api/whatsapp/")) req.rawBody = buf
+  }
+}))
 
 const limiter = rateLimit({
   windowMs: 60 * 1000,
@@ -23,271 +51,1330 @@ const limiter = rateLimit({
 })
 app.use(limiter)
 
-function requireAdmin(req, res, next) {
-  const user = process.env.ADMIN_USER || "admin"
-  const pass = process.env.ADMIN_PASS || "admin"
-  const header = req.headers.authorization || ""
-  const token = header.split(" ")[1] || ""
-  const decoded = Buffer.from(token || "", "base64").toString()
-  const [u, p] = decoded.split(":")
-  if (u === user && p === pass) return next()
-  const isApi = req.path && req.path.startsWith("/api/")
-  if (isApi) {
-    return res.status(401).json({ error: "unauthorized" })
+const ADMIN_SESSION_COOKIE = "admin_session"
+const ADMIN_SESSION_TTL_MS = 12 * 60 * 60 * 1000
+
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || "").split(";")) {
+    const [key, ...value] = part.trim().split("=")
+    if (key === name) return decodeURIComponent(value.join("="))
+  }
+  return ""
+}
+
+// Active panel user behind the session cookie, or null; looked up once per request
+function getAdminUser(req) {
+  if (req.admin !== undefined) return req.admin
+  const token = readCookie(req, ADMIN_SESSION_COOKIE)
+  const session = token ? repo.adminSessions.get(hashToken(token)) : null
+  const user = session && new Date(session.expiresAt).getTime() > Date.now() ? repo.adminUsers.get(session.userId) : null
+  req.admin = user && user.active !== false ? user : null
+  return req.admin
+}
+
+function hasPermission(req, permission) {
+  const user = getAdminUser(req)
+  return !!user && roleAllows(user.role, permission)
+}
+
+// Name recorded in ledgers for actions taken from the admin screens
+function adminUser(req) {
+  return getAdminUser(req)?.username || ""
+}
+
+// Audit trail actor: the panel user, or "publico" for the anonymous forms
+function auditActor(req) {
+  return adminUser(req) || "publico"
+}
+
+function audit(req, entry) {
+  return recordAudit({ actor: auditActor(req), ...entry })
+}
+
+// Admin pages only need a signed-in user; the APIs behind them check permissions
+function requireLogin(req, res, next) {
+  if (getAdminUser(req)) return next()
+  if (req.path.startsWith("/api/")) return res.status(401).json({ error: "unauthorized" })
+  res.redirect(`/login.html?next=${encodeURIComponent(req.originalUrl)}`)
+}
+
+// Every admin API route declares the permission it needs (see lib/roles.js)
+function requirePermission(permission) {
+  return (req, res, next) => {
+    const user = getAdminUser(req)
+    if (!user) return res.status(401).json({ error: "unauthorized" })
+    if (!roleAllows(user.role, permission)) return res.status(403).json({ error: "forbidden", permission })
+    next()
   }
-  res.setHeader("WWW-Authenticate", 'Basic realm="Admin"')
-  return res.status(401).send("Unauthorized")
 }
 
 app.get("/", (req, res) => {
   res.sendFile(path.join(__dirname, "..", "public", "landing.html"))
 })
 
+// Panel pages are not served to signed-out visitors
+app.get(["/admin.html", "/productos.html", "/clientes.html"], requireLogin)
+
 app.use(express.static(path.join(__dirname, "..", "public")))
 
 app.get("/app", (req, res) => {
   res.sendFile(path.join(__dirname, "..", "public", "index.html"))
 })
 
-app.get("/admin", requireAdmin, (req, res) => {
+app.get("/admin", requireLogin, (req, res) => {
   res.sendFile(path.join(__dirname, "..", "public", "admin.html"))
 })
 
+// --- Panel users and sessions ---
+const loginLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 20 })
+const ADMIN_USERNAME_RE = /^[a-z0-9._-]{3,40}$/
+const MIN_ADMIN_PASSWORD = 8
+
+function adminUserView(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    name: user.name || user.username,
+    role: user.role,
+    roleLabel: ROLES[user.role]?.label || user.role,
+    active: user.active !== false,
+    createdAt: user.createdAt,
+    lastLoginAt: user.lastLoginAt || null,
+    permissions: rolePermissions(user.role)
+  }
+}
+
+function createAdminSession(userId) {
+  const token = generateToken()
+  const now = Date.now()
+  repo.adminSessions.removeWhere(s => new Date(s.expiresAt).getTime() <= now)
+  repo.adminSessions.save({
+    tokenHash: hashToken(token),
+    userId,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ADMIN_SESSION_TTL_MS).toISOString()
+  })
+  return token
+}
+
+// keepTokenHash spares the caller's own session (e.g. after changing their password)
+function revokeAdminSessions(userId, keepTokenHash = null) {
+  repo.adminSessions.removeWhere(s => s.userId === userId && s.tokenHash !== keepTokenHash)
+}
+
+function setAdminSessionCookie(req, res, token, maxAgeMs) {
+  // SameSite=Lax keeps other sites from posting to the panel with this cookie
+  const parts = [`${ADMIN_SESSION_COOKIE}=${token}`, "Path=/", "HttpOnly", "SameSite=Lax", `Max-Age=${Math.floor(maxAgeMs / 1000)}`]
+  if (req.secure) parts.push("Secure")
+  res.setHeader("Set-Cookie", parts.join("; "))
+}
+
+function activeAdministrators() {
+  return repo.adminUsers.filter(u => u.role === "administrador" && u.active !== false)
+}
+
+app.post("/api/admin/login", loginLimiter, async (req, res) => {
+  const { username, password } = req.body || {}
+  if (!username || !password) return res.status(400).json({ error: "missing_fields" })
+  const user = repo.adminUsers.find(u => u.username === String(username).trim().toLowerCase())
+  // Unknown users, wrong passwords and disabled accounts get the same answer
+  if (!user || user.active === false || !(await verifyPassword(password, user.passwordHash))) {
+    return res.status(401).json({ error: "invalid_credentials" })
+  }
+  if (needsRehash(user.passwordHash)) user.passwordHash = await hashPassword(password)
+  user.lastLoginAt = new Date().toISOString()
+  repo.adminUsers.save(user)
+  setAdminSessionCookie(req, res, createAdminSession(user.id), ADMIN_SESSION_TTL_MS)
+  res.json({ ok: true, user: adminUserView(user) })
+})
+
+app.post("/api/admin/logout", (req, res) => {
+  const token = readCookie(req, ADMIN_SESSION_COOKIE)
+  if (token) repo.adminSessions.remove(hashToken(token))
+  setAdminSessionCookie(req, res, "", 0)
+  res.json({ ok: true })
+})
+
+app.get("/api/admin/me", requireLogin, (req, res) => {
+  res.json({ ok: true, user: adminUserView(getAdminUser(req)) })
+})
+
+app.post("/api/admin/me/password", requireLogin, async (req, res) => {
+  const user = getAdminUser(req)
+  const { currentPassword, newPassword } = req.body || {}
+  if (!currentPassword || !newPassword) return res.status(400).json({ error: "missing_fields" })
+  if (String(newPassword).length < MIN_ADMIN_PASSWORD) return res.status(400).json({ error: "weak_password", min: MIN_ADMIN_PASSWORD })
+  if (!(await verifyPassword(currentPassword, user.passwordHash))) return res.status(401).json({ error: "invalid_credentials" })
+  user.passwordHash = await hashPassword(newPassword)
+  user.updatedAt = new Date().toISOString()
+  repo.adminUsers.save(user)
+  revokeAdminSessions(user.id, hashToken(readCookie(req, ADMIN_SESSION_COOKIE)))
+  res.json({ ok: true })
+})
+
+app.get("/api/admin/roles", requirePermission("users.manage"), (req, res) => {
+  res.json({ roles: ROLES, permissions: PERMISSIONS })
+})
+
+app.get("/api/admin/users", requirePermission("users.manage"), (req, res) => {
+  res.json(repo.adminUsers.all().map(adminUserView))
+})
+
+// Without a password one is generated and returned once, to hand over to the new user
+app.post("/api/admin/users", requirePermission("users.manage"), async (req, res) => {
+  const body = req.body || {}
+  const username = String(body.username || "").trim().toLowerCase()
+  if (!ADMIN_USERNAME_RE.test(username)) return res.status(400).json({ error: "invalid_username" })
+  if (!ROLES[body.role]) return res.status(400).json({ error: "invalid_role" })
+  if (body.password && String(body.password).length < MIN_ADMIN_PASSWORD) return res.status(400).json({ error: "weak_password", min: MIN_ADMIN_PASSWORD })
+  if (repo.adminUsers.find(u => u.username === username)) return res.status(409).json({ error: "username_taken" })
+  const password = body.password ? String(body.password) : generatePassword(12)
+  const now = new Date().toISOString()
+  const user = repo.adminUsers.insert({
+    id: null,
+    username,
+    name: String(body.name || "").trim() || username,
+    role: body.role,
+    active: true,
+    passwordHash: await hashPassword(password),
+    createdAt: now,
+    updatedAt: now
+  })
+  audit(req, { action: "create", entity: "user", entityId: user.id, after: user })
+  res.status(201).json({ ok: true, user: adminUserView(user), password: body.password ? undefined : password })
+})
+
+// Role changes, deactivation and password resets sign the user out everywhere
+app.put("/api/admin/users/:id", requirePermission("users.manage"), async (req, res) => {
+  const user = repo.adminUsers.get(Number(req.params.id))
+  if (!user) return res.status(404).json({ error: "not_found" })
+  const body = req.body || {}
+  const role = body.role ?? user.role
+  const active = body.active ?? user.active !== false
+  if (!ROLES[role]) return res.status(400).json({ error: "invalid_role" })
+  if (body.password && String(body.password).length < MIN_ADMIN_PASSWORD) return res.status(400).json({ error: "weak_password", min: MIN_ADMIN_PASSWORD })
+  const losesAdmin = user.role === "administrador" && user.active !== false && (role !== "administrador" || active === false)
+  if (losesAdmin && activeAdministrators().length <= 1) return res.status(409).json({ error: "last_administrator" })
+
+  const signOut = role !== user.role || active !== (user.active !== false) || !!body.password
+  const before = { ...user }
+  if (body.name !== undefined) user.name = String(body.name).trim() || user.username
+  user.role = role
+  user.active = active === true
+  if (body.password) user.passwordHash = await hashPassword(String(body.password))
+  user.updatedAt = new Date().toISOString()
+  repo.adminUsers.save(user)
+  audit(req, { action: "update", entity: "user", entityId: user.id, before, after: user })
+  if (signOut) revokeAdminSessions(user.id)
+  res.json({ ok: true, user: adminUserView(user) })
+})
+
+app.delete("/api/admin/users/:id", requirePermission("users.manage"), (req, res) => {
+  const user = repo.adminUsers.get(Number(req.params.id))
+  if (!user) return res.status(404).json({ error: "not_found" })
+  if (user.id === getAdminUser(req).id) return res.status(409).json({ error: "cannot_delete_self" })
+  if (user.role === "administrador" && user.active !== false && activeAdministrators().length <= 1) {
+    return res.status(409).json({ error: "last_administrator" })
+  }
+  repo.transaction(() => {
+    revokeAdminSessions(user.id)
+    repo.adminUsers.remove(user.id)
+    audit(req, { action: "delete", entity: "user", entityId: user.id, before: user })
+  })
+  res.json({ ok: true })
+})
+
 // Endpoints de agenda y clientes deshabilitados temporalmente
 
 const uploadDir = path.join(__dirname, "..", "public", "uploads")
 if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true })
 
-const dataDir = path.join(__dirname, "..", "data")
-if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true })
+initDb()
+if (!repo.products.count() && fs.existsSync(path.join(__dirname, "..", "data", "products.json"))) {
+  console.warn("La base de datos está vacía. Para cargar los datos de data/*.json ejecutá: npm run db:import")
+}
+
+// First start with panel users: the old ADMIN_USER / ADMIN_PASS become the first administrador
+if (!repo.adminUsers.count()) {
+  const username = String(process.env.ADMIN_USER || "admin").trim().toLowerCase()
+  const password = process.env.ADMIN_PASS || "admin"
+  const now = new Date().toISOString()
+  repo.adminUsers.insert({ id: null, username, name: username, role: "administrador", active: true, passwordHash: await hashPassword(password), createdAt: now, updatedAt: now })
+  if (!process.env.ADMIN_PASS) console.warn(`Se creó el usuario "${username}" con la contraseña "admin". Cambiala desde el panel.`)
+}
+
+function getBaseUrl(publicUrl) {
+  // Use provided publicUrl (ngrok / domain) or fallback to local IP
+  if (publicUrl) return String(publicUrl).replace(/\/$/, "")
+  const ip = getLocalIp()
+  const port = process.env.PORT || 3000
+  return `http://${ip}:${port}`
+}
+
+// Uploads are held in memory until their type, size and hash are checked
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_UPLOAD_SIZE } })
+
+function receiveUpload(req, res, next) {
+  upload.single("file")(req, res, err => {
+    if (err?.code === "LIMIT_FILE_SIZE") return res.status(413).json({ error: "file_too_large" })
+    next(err)
+  })
+}
+
+// Indexes a file written to the uploads folder
+function recordMedia(filename, buffer, { mime, originalName = filename, user = null, createdAt = new Date().toISOString() } = {}) {
+  const item = {
+    id: null,
+    filename,
+    url: `/uploads/${filename}`,
+    hash: contentHash(buffer),
+    mime: mime || sniffType(buffer) || "application/octet-stream",
+    size: buffer.length,
+    originalName,
+    uploadedBy: user,
+    createdAt
+  }
+  repo.media.insert(item)
+  return item
+}
+
+// Brings the index in line with the folder: files copied in by hand, or there from before the
+// index, are added; records of files that are gone are dropped
+function syncMedia() {
+  const files = listUploads(uploadDir)
+  const known = new Map(repo.media.all().map(m => [m.filename, m]))
+  const present = new Set(files.map(f => f.filename))
+  repo.transaction(() => {
+    for (const f of files) {
+      if (known.has(f.filename)) continue
+      recordMedia(f.filename, fs.readFileSync(path.join(uploadDir, f.filename)), { createdAt: f.mtime })
+    }
+    for (const m of known.values()) if (!present.has(m.filename)) repo.media.remove(m.id)
+  })
+}
+
+app.post("/api/upload", requirePermission("files.upload"), receiveUpload, (req, res) => {
+  const f = req.file
+  const { mime, error } = checkUpload(f)
+  if (error) return res.status(error === "file_too_large" ? 413 : error === "unsupported_type" ? 415 : 400).json({ error })
+  // The same bytes uploaded again reuse the stored copy
+  const hash = contentHash(f.buffer)
+  const existing = repo.media.find(m => m.hash === hash && fs.existsSync(path.join(uploadDir, m.filename)))
+  if (existing) return res.json({ ok: true, url: existing.url, id: existing.id, deduplicated: true })
+  const filename = mediaFilename(f.originalname, mime)
+  fs.writeFileSync(path.join(uploadDir, filename), f.buffer)
+  const item = recordMedia(filename, f.buffer, { mime, originalName: f.originalname || filename, user: adminUser(req) })
+  audit(req, { action: "create", entity: "file", entityId: filename, after: { url: item.url, name: item.originalName, size: item.size } })
+  return res.json({ ok: true, url: item.url, id: item.id })
+})
+
+// Media library: every upload with what uses it. `orphan` marks files nothing points at.
+function mediaLibrary() {
+  syncMedia()
+  const refs = mediaReferences({
+    products: repo.products.all(),
+    catalogs: repo.catalogs.all(),
+    campaigns: repo.campaigns.all(),
+    templates: repo.campaignTemplates.all(),
+    priceLists: repo.priceLists.all(),
+    config: repo.config.get()
+  })
+  const copies = new Map()
+  const items = repo.media.all()
+  for (const m of items) copies.set(m.hash, (copies.get(m.hash) || 0) + 1)
+  return items.map(m => {
+    const references = refs.get(m.filename) || []
+    return { ...m, references, orphan: !references.length, copies: copies.get(m.hash) }
+  })
+}
+
+function removeMedia(req, item) {
+  fs.rmSync(path.join(uploadDir, item.filename), { force: true })
+  repo.media.remove(item.id)
+  audit(req, { action: "delete", entity: "file", entityId: item.filename, before: item })
+}
+
+app.get("/api/media", requirePermission("files.manage"), (req, res) => {
+  let list = mediaLibrary()
+  if (req.query.orphans === "1") list = list.filter(m => m.orphan)
+  if (req.query.type === "image") list = list.filter(m => m.mime.startsWith("image/"))
+  if (req.query.type === "pdf") list = list.filter(m => m.mime === "application/pdf")
+  list.sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+  res.json(list)
+})
+
+// One file; refused while something still uses it
+app.delete("/api/media/:id", requirePermission("files.manage"), (req, res) => {
+  const item = mediaLibrary().find(m => m.id === Number(req.params.id))
+  if (!item) return res.status(404).json({ error: "not_found" })
+  if (!item.orphan) return res.status(409).json({ error: "in_use", references: item.references })
+  const { references, orphan, copies, ...record } = item
+  removeMedia(req, record)
+  res.json({ ok: true })
+})
+
+// Removes every orphan older than the grace period; `dryRun` only lists them
+app.post("/api/media/cleanup", requirePermission("files.manage"), (req, res) => {
+  const cutoff = new Date(Date.now() - ORPHAN_GRACE_MS).toISOString()
+  const orphans = mediaLibrary().filter(m => m.orphan)
+  const doomed = orphans.filter(m => m.createdAt < cutoff)
+  if (!req.body?.dryRun) {
+    for (const { references, orphan, copies, ...record } of doomed) removeMedia(req, record)
+  }
+  res.json({
+    ok: true,
+    dryRun: !!req.body?.dryRun,
+    removed: doomed.map(m => ({ id: m.id, filename: m.filename, size: m.size })),
+    freed: doomed.reduce((acc, m) => acc + m.size, 0),
+    recent: orphans.length - doomed.length
+  })
+})
+
+// Catalog as customers are quoted: every price in the store currency, kits filled in
+function customerCatalog(currency = storeCurrency()) {
+  return resolveKits(inStoreCurrency(repo.products.all(), currency))
+}
+
+app.get("/api/products", (req, res) => {
+  // Admin screens edit the raw records, including every price level
+  if (hasPermission(req, "products.read")) return res.json(repo.products.all())
+  const tier = tierForClient(getPortalClient(req))
+  const currency = storeCurrency()
+  res.json(customerCatalog(currency).map(p => withAmounts(priceProductForTier(p, tier), currency)))
+})
+
+// Fields the product endpoints never take from the browser; stock changes go through the ledger
+const PRODUCT_READONLY_FIELDS = ["id", "version", "createdAt", "updatedAt", "stockQty", "priceUpdatedAt", "priceReason"]
+
+function productVersion(p) {
+  return Number(p.version) || 0
+}
+
+// Every content edit bumps the version; stock movements do not, so a sale never blocks an edit
+function touchProduct(p) {
+  p.version = productVersion(p) + 1
+  p.updatedAt = new Date().toISOString()
+  return p
+}
+
+// Version the client based its edit on: If-Match header, body.version or ?version=
+function expectedVersion(req) {
+  const raw = req.get("If-Match") ?? (req.body && req.body.version) ?? req.query.version
+  if (raw == null || raw === "") return null
+  const n = Number(String(raw).replace(/"/g, ""))
+  return Number.isNaN(n) ? null : n
+}
+
+function productChanges(body) {
+  const out = { ...(body || {}) }
+  for (const f of PRODUCT_READONLY_FIELDS) delete out[f]
+  return out
+}
+
+// The first unit count typed for an untracked product becomes an opening ledger entry
+function initialStockMovement(product, rawQty, reason) {
+  if (hasStockTracking(product) || rawQty == null || rawQty === "" || Number.isNaN(Number(rawQty))) return null
+  return { product, type: "ajuste", qty: Math.trunc(Number(rawQty)), reason }
+}
+
+function findProductOr404(req, res) {
+  const product = repo.products.get(Number(req.params.id))
+  if (!product) res.status(404).json({ error: "not_found" })
+  return product
+}
+
+// 428 when the client did not say which version it edited, 409 when someone saved in between
+function checkProductVersion(product, req, res) {
+  const expected = expectedVersion(req)
+  if (expected == null) {
+    res.status(428).json({ error: "version_required", product })
+    return false
+  }
+  if (expected !== productVersion(product)) {
+    res.status(409).json({ error: "conflict", product })
+    return false
+  }
+  return true
+}
+
+// Storefront search; prices are those of the caller's tier, so sorting by price matches what is shown
+app.get("/api/products/search", (req, res) => {
+  const currency = storeCurrency()
+  const data = customerCatalog(currency)
+  const tier = tierForClient(getPortalClient(req))
+  const list = hasPermission(req, "products.read") ? data : data.map(p => priceProductForTier(p, tier))
+  const result = searchProducts(catalogCards(list), {
+    q: String(req.query.q || "").slice(0, 200),
+    filters: searchFilters(req.query),
+    sort: req.query.sort,
+    page: clampInt(req.query.page, 1, 1, 10000),
+    pageSize: clampInt(req.query.pageSize, 24, 1, 100)
+  })
+  res.json({ ...result, items: result.items.map(p => withAmounts(p, currency)) })
+})
+
+// Co-purchase model over the checkout baskets, rebuilt when a basket is added
+let coPurchaseCache = null
+function coPurchaseModel() {
+  const size = repo.baskets.count()
+  if (!coPurchaseCache || coPurchaseCache.size !== size) {
+    coPurchaseCache = { size, model: buildCoPurchase(repo.baskets.all(), repo.products.all()) }
+  }
+  return coPurchaseCache.model
+}
+
+// "Se compra junto con" for a product (?ids=5) or a cart (?ids=5,8,13): catalog cards, in stock
+app.get("/api/products/related", (req, res) => {
+  const ids = String(req.query.ids || "").split(",").map(Number).filter(n => Number.isInteger(n) && n > 0).slice(0, 50)
+  if (!ids.length) return res.json({ items: [] })
+  const tier = tierForClient(getPortalClient(req))
+  const currency = storeCurrency()
+  const cards = catalogCards(customerCatalog(currency).map(p => priceProductForTier(p, tier)))
+  const byId = new Map(cards.filter(c => c.available !== "Agotado").map(c => [c.id, c]))
+  const wanted = relatedIds(coPurchaseModel(), ids, 12).filter(id => byId.has(id))
+  res.json({ items: wanted.slice(0, clampInt(req.query.limit, 4, 1, 12)).map(id => withAmounts(byId.get(id), currency)) })
+})
+
+app.get("/api/products/:id", (req, res) => {
+  const product = findProductOr404(req, res)
+  if (!product) return
+  if (hasPermission(req, "products.read")) return res.json(product)
+  const currency = storeCurrency()
+  const resolved = isKit(product) ? customerCatalog(currency).find(p => p.id === product.id) : inStoreCurrency([product], currency)[0]
+  res.json(withAmounts(priceProductForTier(resolved, tierForClient(getPortalClient(req))), currency))
+})
+
+// Variant, kit and currency rules for a product about to be saved: { fields } or { error }
+function checkProductFields(fields, products, selfId = null) {
+  const variant = variantFields(fields, products, selfId)
+  const kit = variant.error ? variant : kitFields(variant.fields, products, selfId)
+  return kit.error ? kit : currencyFields(kit.fields, storeCurrency())
+}
+
+app.post("/api/products", requirePermission("products.write"), (req, res) => {
+  const data = req.body
+  if (Array.isArray(data)) return replaceProducts(req, res)
+  const checked = checkProductFields(productChanges(data), repo.products.all())
+  if (checked.error) return res.status(400).json({ error: checked.error })
+  const fields = checked.fields
+  if (!String(fields.name || "").trim()) return res.status(400).json({ error: "name_required" })
+  const now = new Date().toISOString()
+  const product = { ...fields, id: repo.products.nextId(), version: 1, createdAt: now, updatedAt: now }
+  repo.transaction(() => {
+    const opening = initialStockMovement(product, data.stockQty, "Stock inicial")
+    recordStockMovements(opening ? [opening] : [], adminUser(req))
+    syncAvailability(product)
+    repo.products.save(product)
+    audit(req, { action: "create", entity: "product", entityId: product.id, after: product })
+  })
+  res.status(201).json({ ok: true, product })
+})
 
-const productsFile = path.join(dataDir, "products.json")
-const clientsFile = path.join(dataDir, "clients.json")
-const catalogsFile = path.join(dataDir, "catalogs.json")
+app.patch("/api/products/:id", requirePermission("products.write"), (req, res) => {
+  const product = findProductOr404(req, res)
+  if (!product || !checkProductVersion(product, req, res)) return
+  const checked = checkProductFields(productChanges(req.body), repo.products.all(), product.id)
+  if (checked.error) return res.status(400).json({ error: checked.error })
+  const fields = checked.fields
+  if ("name" in fields && !String(fields.name || "").trim()) return res.status(400).json({ error: "name_required" })
+  const before = structuredClone(product)
+  Object.assign(product, fields)
+  repo.transaction(() => {
+    const opening = initialStockMovement(product, req.body && req.body.stockQty, "Inicio de control de stock")
+    recordStockMovements(opening ? [opening] : [], adminUser(req))
+    syncAvailability(product)
+    notePriceChanges(product, priceChanges(before, product), {
+      user: adminUser(req),
+      reason: String(req.body?.priceReason || "").trim() || "Edición manual"
+    })
+    repo.products.save(touchProduct(product))
+    audit(req, { action: "update", entity: "product", entityId: product.id, before, after: product })
+  })
+  res.json({ ok: true, product })
+})
+
+app.delete("/api/products/:id", requirePermission("products.write"), (req, res) => {
+  const product = findProductOr404(req, res)
+  if (!product || !checkProductVersion(product, req, res)) return
+  // Its variants would be left without a name to show; they go first
+  const variants = repo.products.filter(p => p.parentId === product.id).length
+  if (variants) return res.status(409).json({ error: "has_variants", variants })
+  const kits = kitsUsing(product.id, repo.products.all()).map(k => k.name)
+  if (kits.length) return res.status(409).json({ error: "in_kits", kits })
+  repo.transaction(() => {
+    repo.products.remove(product.id)
+    audit(req, { action: "delete", entity: "product", entityId: product.id, before: product })
+  })
+  res.json({ ok: true })
+})
+
+// Whole-catalog replace, kept for restoring backups; it must be asked for with ?confirm=replace
+function replaceProducts(req, res) {
+  if (req.query.confirm !== "replace") {
+    return res.status(428).json({ error: "confirmation_required" })
+  }
+  const data = req.body
+  const movements = []
+  for (const p of data) {
+    const prev = repo.products.get(Number(p.id))
+    const rawQty = p.stockQty
+    if (prev && hasStockTracking(prev)) {
+      // Units only change through the ledger; a stale admin tab must not undo sales
+      p.stockQty = prev.stockQty
+    } else {
+      delete p.stockQty
+      const opening = initialStockMovement(p, rawQty, prev ? "Inicio de control de stock" : "Stock inicial")
+      if (opening) movements.push(opening)
+    }
+    syncAvailability(p)
+    if (!prev) {
+      p.version = 0
+      touchProduct(p)
+      continue
+    }
+    const changed = JSON.stringify(productChanges(prev)) !== JSON.stringify(productChanges(p))
+    p.version = productVersion(prev)
+    if (prev.updatedAt) p.updatedAt = prev.updatedAt
+    if (changed) touchProduct(p)
+  }
+  repo.transaction(() => {
+    const before = repo.products.all()
+    repo.products.replaceAll(data)
+    recordStockMovements(movements, adminUser(req))
+    recordListAudit({ actor: auditActor(req), entity: "product", before, after: repo.products.all() })
+  })
+  res.json({ ok: true })
+}
+
+const importUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } })
+const IMPORT_FORMATS = ["csv", "json", "xlsx"]
+
+// Upsert of a price list (CSV, JSON or XLSX). Dry run by default: send dryRun=false to write
+app.post("/api/products/import", requirePermission("products.write"), importUpload.single("file"), (req, res) => {
+  const body = req.body || {}
+  let buf
+  let filename = ""
+  if (req.file) {
+    buf = req.file.buffer
+    filename = req.file.originalname || ""
+  } else if (body.content) {
+    buf = Buffer.from(String(body.content), "utf-8")
+  } else {
+    return res.status(400).json({ error: "file_required" })
+  }
+  const format = IMPORT_FORMATS.includes(body.format) ? body.format : detectFormat(buf, filename)
 
-function readData(file) {
+  let records
   try {
-    if (!fs.existsSync(file)) return []
-    const raw = fs.readFileSync(file, "utf-8")
-    return JSON.parse(raw)
-  } catch {
-    return []
+    records = parseImportFile(buf, format)
+  } catch (e) {
+    return res.status(400).json({ error: "parse_error", format, message: e.message })
+  }
+  if (!records.length) return res.status(400).json({ error: "empty_file", format })
+
+  const products = repo.products.all()
+  const plan = planImport(records, products)
+  const dryRunFlag = String(body.dryRun ?? req.query.dryRun ?? "true").toLowerCase()
+  const dryRun = dryRunFlag !== "false" && dryRunFlag !== "0"
+  if (dryRun) return res.json({ ok: true, dryRun, format, summary: plan.summary, rows: plan.rows, parents: plan.parents })
+
+  const pricesBefore = new Map(products.map(p => [p.id, { price: p.price, prices: p.prices }]))
+  const { created, updated, extended } = applyImportPlan(plan, products)
+  for (const c of created) touchProduct(c.product)
+  extended.forEach(touchProduct)
+  for (const r of plan.rows) {
+    const p = r.status === "changed" && products.find(x => x.id === r.productId)
+    if (p) touchProduct(p)
+  }
+  const movements = created
+    .filter(c => c.stockQty != null)
+    .map(c => ({ product: c.product, type: "ajuste", qty: c.stockQty, reason: "Stock inicial (importación)" }))
+  products.forEach(syncAvailability)
+  repo.transaction(() => {
+    const before = repo.products.all()
+    const reason = filename ? `Importación ${filename}` : "Importación"
+    for (const p of products) {
+      if (pricesBefore.has(p.id)) notePriceChanges(p, priceChanges(pricesBefore.get(p.id), p), { user: adminUser(req), reason })
+    }
+    repo.products.replaceAll(products)
+    recordStockMovements(movements, adminUser(req))
+    recordListAudit({ actor: auditActor(req), entity: "product", before, after: repo.products.all() })
+  })
+  res.json({ ok: true, dryRun, format, summary: plan.summary, rows: plan.rows, parents: plan.parents, created: created.length, updated })
+})
+
+// Applies movements to the given products and stores both the ledger entries and the updated products
+function recordStockMovements(movements, user) {
+  if (!movements.length) return []
+  return repo.transaction(() => movements.map(m => {
+    const movement = applyStockMovement(m.product, { ...m, user: m.user || user }, repo.stockMovements.nextId())
+    repo.stockMovements.save(movement)
+    repo.products.save(m.product)
+    return movement
+  }))
+}
+
+// Sale lines of an order as stock movements ("venta" on checkout, "devolucion" when cancelled).
+// A kit line moves its components, as recorded on the line when it was sold.
+function orderStockMovements(order, type, reason) {
+  const movements = []
+  // One object per product, so two lines taking the same component add up instead of overwriting
+  const products = new Map()
+  const productFor = id => {
+    if (!products.has(id)) products.set(id, repo.products.get(id))
+    return products.get(id)
+  }
+  for (const line of order.items || []) {
+    const parts = Array.isArray(line.kitItems) ? line.kitItems.map(c => ({ id: c.productId, qty: c.qty * line.qty })) : [{ id: line.productId, qty: line.qty }]
+    for (const part of parts) {
+      const p = productFor(Number(part.id))
+      if (!p || !hasStockTracking(p)) continue
+      movements.push({ product: p, type, qty: part.qty, reason, orderId: order.id })
+    }
+  }
+  return movements
+}
+
+app.get("/api/stock/movements", requirePermission("stock.read"), (req, res) => {
+  const { productId, type, from, to } = req.query
+  let list = repo.stockMovements.all()
+  if (productId) list = list.filter(m => Number(m.productId) === Number(productId))
+  if (type) list = list.filter(m => m.type === type)
+  if (from) list = list.filter(m => m.createdAt >= String(from))
+  if (to) list = list.filter(m => m.createdAt.slice(0, 10) <= String(to))
+  list.sort((a, b) => b.id - a.id)
+  res.json(list)
+})
+
+app.post("/api/stock/movements", requirePermission("stock.write"), (req, res) => {
+  const { productId, type, qty, reason } = req.body || {}
+  if (!STOCK_MOVEMENT_TYPES.includes(type)) {
+    return res.status(400).json({ error: "invalid_type" })
+  }
+  const delta = stockDelta(type, qty)
+  if (!delta) return res.status(400).json({ error: "qty_required" })
+  if (!String(reason || "").trim()) return res.status(400).json({ error: "reason_required" })
+  const product = repo.products.get(Number(productId))
+  if (!product) return res.status(404).json({ error: "not_found" })
+  const current = hasStockTracking(product) ? product.stockQty : 0
+  if (current + delta < 0) {
+    return res.status(400).json({ error: "insufficient_stock", stockQty: current })
+  }
+  const before = { ...product }
+  const [movement] = recordStockMovements([{ product, type, qty, reason: String(reason).trim() }], adminUser(req))
+  audit(req, { action: "stock", entity: "product", entityId: product.id, before, after: product })
+  res.json({ ok: true, movement, product })
+})
+
+app.get("/api/stock/low", requirePermission("stock.read"), (req, res) => {
+  const list = repo.products.all()
+    .filter(p => stockLevel(p) === "agotado" || stockLevel(p) === "bajo")
+    .map(p => ({
+      id: p.id,
+      name: p.name || "",
+      code: p.code || "",
+      sku: p.sku || "",
+      stockQty: p.stockQty,
+      minStock: minStockFor(p),
+      level: stockLevel(p)
+    }))
+    .sort((a, b) => a.stockQty - b.stockQty)
+  res.json(list)
+})
+
+// Price history entries for the tiers that changed; the product keeps the date for the storefront
+function notePriceChanges(product, changes, { user = "", reason = "", adjustmentId } = {}) {
+  if (!changes.length) return
+  const createdAt = new Date().toISOString()
+  product.priceUpdatedAt = createdAt
+  for (const c of changes) {
+    const entry = { id: null, productId: product.id, productName: product.name || "", tier: c.tier, from: c.from, to: c.to, reason, user, createdAt }
+    if (adjustmentId != null) entry.adjustmentId = adjustmentId
+    repo.priceHistory.insert(entry)
+  }
+}
+
+app.get("/api/products/:id/price-history", requirePermission("products.read"), (req, res) => {
+  const product = findProductOr404(req, res)
+  if (!product) return
+  const list = repo.priceHistory.filter(h => h.productId === product.id).sort((a, b) => b.id - a.id)
+  res.json(list)
+})
+
+// Sets the planned prices, with their history and audit entries, in one transaction
+function changePrices(items, { actor, reason, adjustmentId }) {
+  const byProduct = new Map()
+  for (const it of items) {
+    if (!byProduct.has(it.productId)) byProduct.set(it.productId, [])
+    byProduct.get(it.productId).push(it)
+  }
+  repo.transaction(() => {
+    for (const [id, lines] of byProduct) {
+      const product = repo.products.get(id)
+      if (!product) continue
+      const before = structuredClone(product)
+      for (const it of lines) setTierPrice(product, it.tier, it.to)
+      notePriceChanges(product, priceChanges(before, product), { user: actor, reason, adjustmentId })
+      repo.products.save(touchProduct(product))
+      recordAudit({ actor, action: "update", entity: "product", entityId: product.id, before, after: product })
+    }
+  })
+}
+
+function applyPriceAdjustment(adjustment, actor) {
+  const items = planAdjustment(repo.products.all(), adjustment, storeCurrency())
+  repo.transaction(() => {
+    changePrices(items, { actor, reason: adjustment.reason, adjustmentId: adjustment.id })
+    Object.assign(adjustment, { status: "applied", appliedAt: new Date().toISOString(), items })
+    repo.priceAdjustments.save(adjustment)
+  })
+  return adjustment
+}
+
+// Scheduled adjustments are applied by the first check after their date, in the name of whoever
+// scheduled them
+function applyDueAdjustments() {
+  const now = new Date().toISOString()
+  const due = repo.priceAdjustments.filter(a => a.status === "scheduled" && a.effectiveAt <= now).sort((a, b) => a.id - b.id)
+  for (const adjustment of due) {
+    try {
+      applyPriceAdjustment(adjustment, adjustment.createdBy)
+    } catch (err) {
+      console.error(`Error applying price adjustment ${adjustment.id}:`, err)
+    }
   }
 }
 
-function writeData(file, data) {
-  fs.writeFileSync(file, JSON.stringify(data, null, 2))
+// List view: the changed lines only come with a single adjustment
+function adjustmentSummary(a) {
+  const { items, ...rest } = a
+  return { ...rest, products: new Set((items || []).map(it => it.productId)).size, lines: (items || []).length }
 }
 
-function hashPassword(pwd) {
-  return crypto.createHash("sha256").update(String(pwd || "")).digest("hex")
+app.get("/api/price-adjustments", requirePermission("products.read"), (req, res) => {
+  const list = repo.priceAdjustments.all().sort((a, b) => b.id - a.id)
+  res.json(list.map(adjustmentSummary))
+})
+
+app.get("/api/price-adjustments/:id", requirePermission("products.read"), (req, res) => {
+  const adjustment = repo.priceAdjustments.get(Number(req.params.id))
+  if (!adjustment) return res.status(404).json({ error: "not_found" })
+  res.json(adjustment)
+})
+
+// New prices with the rounding applied, without saving anything
+app.post("/api/price-adjustments/preview", requirePermission("products.write"), (req, res) => {
+  const currency = storeCurrency()
+  const { fields, error } = adjustmentFields(req.body, currency)
+  if (error) return res.status(400).json({ error })
+  const items = planAdjustment(repo.products.all(), fields, currency)
+  res.json({ ok: true, effectiveAt: fields.effectiveAt, items })
+})
+
+app.post("/api/price-adjustments", requirePermission("products.write"), (req, res) => {
+  const { fields, error } = adjustmentFields(req.body, storeCurrency())
+  if (error) return res.status(400).json({ error })
+  const now = new Date().toISOString()
+  const actor = adminUser(req)
+  const adjustment = { id: repo.priceAdjustments.nextId(), ...fields, status: "scheduled", createdAt: now, createdBy: actor }
+  repo.priceAdjustments.insert(adjustment)
+  if (fields.effectiveAt <= now) applyPriceAdjustment(adjustment, actor)
+  audit(req, { action: "create", entity: "priceAdjustment", entityId: adjustment.id, after: adjustmentSummary(adjustment) })
+  res.status(201).json({ ok: true, adjustment })
+})
+
+app.post("/api/price-adjustments/:id/cancel", requirePermission("products.write"), (req, res) => {
+  const adjustment = repo.priceAdjustments.get(Number(req.params.id))
+  if (!adjustment) return res.status(404).json({ error: "not_found" })
+  if (adjustment.status !== "scheduled") return res.status(409).json({ error: "not_scheduled" })
+  const before = adjustmentSummary(adjustment)
+  Object.assign(adjustment, { status: "cancelled", cancelledAt: new Date().toISOString(), cancelledBy: adminUser(req) })
+  repo.priceAdjustments.save(adjustment)
+  audit(req, { action: "cancel", entity: "priceAdjustment", entityId: adjustment.id, before, after: adjustmentSummary(adjustment) })
+  res.json({ ok: true, adjustment })
+})
+
+// Puts back the prices of one adjustment as a unit. Lines edited again since then keep their
+// newer price and come back as `skipped`.
+app.post("/api/price-adjustments/:id/rollback", requirePermission("products.write"), (req, res) => {
+  const adjustment = repo.priceAdjustments.get(Number(req.params.id))
+  if (!adjustment) return res.status(404).json({ error: "not_found" })
+  if (adjustment.status !== "applied") return res.status(409).json({ error: "not_applied" })
+  const { restore, skipped } = rollbackItems(adjustment, repo.products.all())
+  const actor = adminUser(req)
+  const before = adjustmentSummary(adjustment)
+  repo.transaction(() => {
+    changePrices(restore, { actor, reason: `Reversión: ${adjustment.reason}`, adjustmentId: adjustment.id })
+    Object.assign(adjustment, { status: "rolled_back", rolledBackAt: new Date().toISOString(), rolledBackBy: actor, skipped })
+    repo.priceAdjustments.save(adjustment)
+    audit(req, { action: "revert", entity: "priceAdjustment", entityId: adjustment.id, before, after: adjustmentSummary(adjustment) })
+  })
+  res.json({ ok: true, restored: restore.length, skipped })
+})
+
+// --- Audit trail ---
+app.get("/api/audit", requirePermission("audit.read"), (req, res) => {
+  const q = req.query
+  const { total, items } = repo.auditLog.list({
+    entity: q.entity,
+    entityId: q.entityId,
+    actor: q.actor,
+    action: q.action,
+    from: q.from,
+    to: q.to,
+    limit: clampInt(q.limit, 50, 1, 200),
+    offset: clampInt(q.offset, 0, 0, Number.MAX_SAFE_INTEGER)
+  })
+  res.json({
+    total,
+    items: items.map(entry => ({ ...entry, revertible: !!productRevision(entry) })),
+    entities: AUDIT_ENTITIES,
+    actors: repo.auditLog.actors()
+  })
+})
+
+// Brings a product back to the version an entry recorded (or re-creates it if the entry is its
+// deletion). Units on hand are not part of a version: a tracked product keeps its current stock.
+app.post("/api/audit/:id/revert", requirePermission("products.write"), (req, res) => {
+  const entry = repo.auditLog.get(Number(req.params.id))
+  if (!entry) return res.status(404).json({ error: "not_found" })
+  const snapshot = productRevision(entry)
+  if (!snapshot) return res.status(400).json({ error: "not_revertible" })
+  const current = repo.products.get(Number(entry.entityId))
+  if (current && productVersion(current) !== (expectedVersion(req) ?? productVersion(current))) {
+    return res.status(409).json({ error: "conflict", product: current })
+  }
+  const now = new Date().toISOString()
+  const product = {
+    ...productChanges(snapshot),
+    id: Number(entry.entityId),
+    version: current ? productVersion(current) : 0,
+    createdAt: current?.createdAt || snapshot.createdAt || now,
+    updatedAt: current?.updatedAt || now
+  }
+  if (current && hasStockTracking(current)) product.stockQty = current.stockQty
+  if (current?.priceUpdatedAt) product.priceUpdatedAt = current.priceUpdatedAt
+  if (current && JSON.stringify(productChanges(current)) === JSON.stringify(productChanges(product))) {
+    return res.json({ ok: true, unchanged: true, product: current })
+  }
+  repo.transaction(() => {
+    const opening = current ? null : initialStockMovement(product, snapshot.stockQty, `Producto restaurado (historial N° ${entry.id})`)
+    recordStockMovements(opening ? [opening] : [], adminUser(req))
+    syncAvailability(product)
+    if (current) notePriceChanges(product, priceChanges(current, product), { user: adminUser(req), reason: `Restaurado desde el historial N° ${entry.id}` })
+    repo.products.save(touchProduct(product))
+    audit(req, { action: "revert", entity: "product", entityId: product.id, before: current, after: product })
+  })
+  res.json({ ok: true, product })
+})
+
+app.get("/api/config", (req, res) => {
+  const data = repo.config.get()
+  // Return default if empty
+  if (!data.logoUrl) data.logoUrl = ""
+  if (!data.timeZone) data.timeZone = DEFAULT_TIME_ZONE
+  res.json(data)
+})
+
+app.post("/api/config", requirePermission("config.write"), (req, res) => {
+  const newConfig = req.body
+  if (!newConfig || typeof newConfig !== "object" || Array.isArray(newConfig)) {
+    return res.status(400).json({ error: "object_required" })
+  }
+  if ("timeZone" in newConfig) {
+    try {
+      new Intl.DateTimeFormat("en-CA", { timeZone: newConfig.timeZone })
+    } catch {
+      return res.status(400).json({ error: "invalid_time_zone" })
+    }
+  }
+  const before = repo.config.get()
+  const after = repo.config.merge(newConfig)
+  audit(req, { action: "update", entity: "config", before, after })
+  res.json({ ok: true })
+})
+
+// Store currencies and today's rate, for the storefront to show both amounts
+app.get("/api/currency", (req, res) => {
+  const currency = storeCurrency()
+  res.json({ ...currency, rateText: rateText(currency) })
+})
+
+app.post("/api/currency", requirePermission("config.write"), (req, res) => {
+  const { currency, error } = currencyConfig(req.body)
+  if (error) return res.status(400).json({ error })
+  const current = storeCurrency()
+  // Products priced in a code the new pair drops would silently change price, so they block it
+  const change = currencyPairChange(repo.products.all(), current, currency)
+  if (change.error) return res.status(409).json(change)
+  const before = repo.config.get()
+  let after
+  repo.transaction(() => {
+    for (const { product, currency: code } of change.updates) {
+      const previous = structuredClone(product)
+      product.currency = code
+      repo.products.save(touchProduct(product))
+      audit(req, { action: "update", entity: "product", entityId: product.id, before: previous, after: product })
+    }
+    // A rate is only meaningful for the secondary it was quoted in
+    const patch = { currency }
+    if (currency.secondary !== current.secondary) {
+      patch.exchangeRate = null
+      for (const r of repo.exchangeRates.filter(r => !r.currency)) repo.exchangeRates.save({ ...r, currency: current.secondary })
+    }
+    after = repo.config.merge(patch)
+  })
+  audit(req, { action: "update", entity: "config", before, after })
+  res.json({ ok: true, currency: storeCurrency(), updatedProducts: change.updates.length })
+})
+
+// Sellers read the rates their quotes use; only config.write changes them
+app.get("/api/exchange-rates", requirePermission("products.read"), (req, res) => {
+  const { from, to } = req.query
+  // Rates quoted for the current secondary; older entries without a code belong to it
+  const code = String(req.query.currency || storeCurrency().secondary)
+  let list = repo.exchangeRates.filter(r => (r.currency || code) === code)
+  if (from) list = list.filter(r => r.date >= String(from))
+  if (to) list = list.filter(r => r.date <= String(to))
+  list.sort((a, b) => b.date.localeCompare(a.date))
+  res.json(list.slice(0, clampInt(req.query.limit, 60, 1, 1000)))
+})
+
+// One rate per day and secondary currency: saving a day again corrects it. The latest day becomes
+// the rate in use.
+app.post("/api/exchange-rates", requirePermission("config.write"), (req, res) => {
+  const code = storeCurrency().secondary
+  if (!code) return res.status(400).json({ error: "no_secondary_currency" })
+  const rate = Number(req.body?.rate)
+  if (!(rate > 0)) return res.status(400).json({ error: "invalid_rate" })
+  const date = String(req.body?.date || new Date().toISOString().slice(0, 10))
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) return res.status(400).json({ error: "invalid_date" })
+  const now = new Date().toISOString()
+  const ofCode = r => (r.currency || code) === code
+  const entry = repo.exchangeRates.find(r => r.date === date && ofCode(r)) || { id: null, date, createdAt: now }
+  Object.assign(entry, { currency: code, rate, user: adminUser(req), updatedAt: now })
+  repo.exchangeRates.insert(entry)
+  const latest = repo.exchangeRates.filter(ofCode).reduce((best, r) => (!best || r.date > best.date ? r : best), null)
+  const before = repo.config.get()
+  if (latest.id === entry.id) {
+    const after = repo.config.merge({ exchangeRate: { rate, date, updatedAt: now, updatedBy: entry.user } })
+    audit(req, { action: "update", entity: "config", before, after })
+  }
+  res.json({ ok: true, entry, currency: storeCurrency() })
+})
+
+app.get("/api/campaigns", requirePermission("campaigns.manage"), (req, res) => {
+  const data = repo.campaigns.all()
+  res.json(data.map(publicCampaign))
+})
+
+// Built-in default first; it can be copied but not edited
+app.get("/api/campaign/templates", requirePermission("campaigns.manage"), (req, res) => {
+  res.json([{ ...DEFAULT_CAMPAIGN_TEMPLATE, readOnly: true }, ...repo.campaignTemplates.all()])
+})
+
+app.post("/api/campaign/templates", requirePermission("campaigns.manage"), (req, res) => {
+  const fields = templateFields(req.body)
+  if (!fields) return res.status(400).json({ error: "missing_fields" })
+  const now = new Date().toISOString()
+  const template = repo.campaignTemplates.insert({ id: null, ...fields, createdAt: now, updatedAt: now })
+  audit(req, { action: "create", entity: "template", entityId: template.id, after: template })
+  res.status(201).json(template)
+})
+
+app.put("/api/campaign/templates/:id", requirePermission("campaigns.manage"), (req, res) => {
+  const template = repo.campaignTemplates.get(Number(req.params.id))
+  if (!template) return res.status(404).json({ error: "not_found" })
+  const fields = templateFields(req.body)
+  if (!fields) return res.status(400).json({ error: "missing_fields" })
+  const saved = repo.campaignTemplates.save({ ...template, ...fields, updatedAt: new Date().toISOString() })
+  audit(req, { action: "update", entity: "template", entityId: template.id, before: template, after: saved })
+  res.json(saved)
+})
+
+app.delete("/api/campaign/templates/:id", requirePermission("campaigns.manage"), (req, res) => {
+  const template = repo.campaignTemplates.get(Number(req.params.id))
+  if (!template) return res.status(404).json({ error: "not_found" })
+  repo.campaignTemplates.remove(template.id)
+  audit(req, { action: "delete", entity: "template", entityId: template.id, before: template })
+  res.json({ ok: true })
+})
+
+// Saved audiences; counts are resolved live on every listing
+app.get("/api/segments", requirePermission("campaigns.manage"), (req, res) => {
+  res.json(repo.segments.all().map(segment => {
+    const { count, clients, withoutEmail } = segmentPreview(segment.filters, { limit: 0 })
+    return { ...segment, count, clients, withoutEmail }
+  }))
+})
+
+app.post("/api/segments/preview", requirePermission("campaigns.manage"), (req, res) => {
+  res.json(segmentPreview(req.body?.filters))
+})
+
+app.get("/api/segments/:id/preview", requirePermission("campaigns.manage"), (req, res) => {
+  const segment = repo.segments.get(Number(req.params.id))
+  if (!segment) return res.status(404).json({ error: "not_found" })
+  res.json(segmentPreview(segment.filters))
+})
+
+app.post("/api/segments", requirePermission("campaigns.manage"), (req, res) => {
+  const fields = segmentFields(req.body)
+  if (!fields) return res.status(400).json({ error: "missing_fields" })
+  const now = new Date().toISOString()
+  const segment = repo.segments.insert({ id: null, ...fields, createdAt: now, updatedAt: now })
+  audit(req, { action: "create", entity: "segment", entityId: segment.id, after: segment })
+  res.status(201).json(segment)
+})
+
+app.put("/api/segments/:id", requirePermission("campaigns.manage"), (req, res) => {
+  const segment = repo.segments.get(Number(req.params.id))
+  if (!segment) return res.status(404).json({ error: "not_found" })
+  const fields = segmentFields(req.body)
+  if (!fields) return res.status(400).json({ error: "missing_fields" })
+  const saved = repo.segments.save({ ...segment, ...fields, updatedAt: new Date().toISOString() })
+  audit(req, { action: "update", entity: "segment", entityId: segment.id, before: segment, after: saved })
+  res.json(saved)
+})
+
+app.delete("/api/segments/:id", requirePermission("campaigns.manage"), (req, res) => {
+  const segment = repo.segments.get(Number(req.params.id))
+  if (!segment) return res.status(404).json({ error: "not_found" })
+  repo.segments.remove(segment.id)
+  audit(req, { action: "delete", entity: "segment", entityId: segment.id, before: segment })
+  res.json({ ok: true })
+})
+
+// Inline `template` (unsaved edits) wins over `templateId`; no id means the default template
+function resolveCampaignTemplate(body) {
+  if (body.template && typeof body.template === "object") return templateFields({ name: "preview", ...body.template })
+  if (!body.templateId || body.templateId === DEFAULT_CAMPAIGN_TEMPLATE.id) return DEFAULT_CAMPAIGN_TEMPLATE
+  return repo.campaignTemplates.get(Number(body.templateId))
 }
 
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, uploadDir)
-  },
-  filename: function (req, file, cb) {
-    const ext = path.extname(file.originalname || "")
-    const name = path.basename(file.originalname || "file", ext).replace(/\W+/g, "_")
-    const ts = Date.now()
-    cb(null, `${name}_${ts}${ext}`)
-  }
+// Renders a template for one recipient: the given email, else the first client with an email
+app.post("/api/campaign/preview", requirePermission("campaigns.manage"), (req, res) => {
+  const body = req.body || {}
+  const template = resolveCampaignTemplate(body)
+  if (!template) return res.status(404).json({ error: "template_not_found" })
+  const email = String(body.email || "").trim() || repo.clients.find(c => c.email)?.email || "cliente@ejemplo.com"
+  const baseUrl = getBaseUrl(body.publicUrl)
+  const downloadUrl = body.pdfUrl ? `${baseUrl}${String(body.pdfUrl).startsWith("/") ? "" : "/"}${body.pdfUrl}` : `${baseUrl}/download.html`
+  const rendered = renderCampaignEmail({ template, subject: body.subject, email, downloadUrl, unsubscribeUrl: `${baseUrl}/api/unsubscribe/vista-previa`, baseUrl })
+  res.json({ email, ...rendered })
+})
+
+app.post("/api/campaign/send", requirePermission("campaigns.manage"), async (req, res) => {
+  const { pdfUrl, smtpConfig, publicUrl, throttle } = req.body
+  const template = resolveCampaignTemplate(req.body)
+  if (!template) return res.status(404).json({ error: "template_not_found" })
+  const subject = String(req.body.subject || "").trim() || template.subject
+
+  // A segment is resolved now, so clients added since it was saved are included
+  let emails = normalizeEmails(req.body.emails)
+  let segment = null
+  if (req.body.segmentId) {
+    segment = repo.segments.get(Number(req.body.segmentId))
+    if (!segment) return res.status(404).json({ error: "segment_not_found" })
+    emails = resolveSegment(segment.filters).emails
+    if (emails.length === 0) return res.status(400).json({ error: "empty_segment" })
+  }
+
+  if (!subject || !pdfUrl || emails.length === 0) {
+    return res.status(400).json({ error: "missing_fields" })
+  }
+
+  // Addresses on the suppression list are recorded as skipped and never emailed
+  const { allowed, skipped } = filterSuppressed(emails)
+  if (allowed.length === 0) {
+    return res.status(400).json({ error: "all_suppressed", skipped: skipped.length })
+  }
+
+  // Configure Transporter (simulation / log mode when no SMTP host is given)
+  const transporter = createMailTransport(smtpConfig)
+  if (transporter.simulated) {
+    console.log("No SMTP config provided. Simulating emails.")
+  } else {
+    // Verify SMTP connection before queueing anything
+    try {
+      await transporter.verify()
+    } catch (error) {
+      console.error("SMTP Error:", error)
+      return res.status(400).json({ 
+        error: "smtp_error", 
+        details: error.message,
+        response: error.response 
+      })
+    }
+  }
+
+  const campaignId = Date.now().toString()
+  const campaign = {
+    id: campaignId,
+    date: new Date().toISOString(),
+    subject,
+    pdfUrl,
+    baseUrl: getBaseUrl(publicUrl),
+    // Copy of the template at send time, so later edits do not change queued emails
+    template: { id: template.id ?? null, html: template.html, productIds: template.productIds || [] },
+    segment: segment ? { id: segment.id, name: segment.name, filters: segment.filters } : null,
+    status: "sending",
+    throttle: campaignThrottle(throttle),
+    // Kept so the queue can resume after a restart; cleared when the campaign ends
+    smtp: smtpConfig && smtpConfig.host ? smtpConfig : null,
+    total: emails.length,
+    sent: 0,
+    failed: 0,
+    pending: allowed.length,
+    skipped: skipped.length,
+    opens: {}, // email -> timestamp
+    clicks: {} // email -> timestamp
+  }
+
+  repo.transaction(() => {
+    repo.campaigns.save(campaign)
+    repo.campaignRecipients.enqueue(campaignId, allowed)
+    repo.campaignRecipients.enqueue(campaignId, skipped, "skipped")
+    audit(req, { action: "create", entity: "campaign", entityId: campaignId, after: publicCampaign(campaign) })
+  })
+  wakeCampaignQueue()
+
+  res.json({
+    ok: true,
+    id: campaignId,
+    status: "sending_started",
+    total: emails.length,
+    queued: allowed.length,
+    skipped: skipped.length,
+    throttle: campaign.throttle
+  })
 })
-const upload = multer({ storage })
 
-app.post("/api/upload", requireAdmin, upload.single("file"), (req, res) => {
-  const f = req.file
-  if (!f) return res.status(400).json({ error: "file_required" })
-  const url = `/uploads/${f.filename}`
-  return res.json({ ok: true, url })
+// Public opt-out link from campaign emails; GET confirms, POST records (also List-Unsubscribe one-click)
+app.get("/api/unsubscribe/:token", (req, res) => {
+  const target = readUnsubscribeToken(req.params.token)
+  if (!target) return res.status(400).send(unsubscribePage({ invalid: true }))
+  if (repo.suppressions.has(target.email)) return res.send(unsubscribePage({ email: target.email, done: true }))
+  res.send(unsubscribePage({ email: target.email, reasons: UNSUBSCRIBE_REASONS }))
 })
 
-app.get("/api/products", (req, res) => {
-  const data = readData(productsFile)
-  res.json(data)
+app.post("/api/unsubscribe/:token", express.urlencoded({ extended: false }), (req, res) => {
+  const target = readUnsubscribeToken(req.params.token)
+  if (!target) return res.status(400).send(unsubscribePage({ invalid: true }))
+  const oneClick = req.body && req.body["List-Unsubscribe"] === "One-Click"
+  const reason = UNSUBSCRIBE_REASONS.includes(req.body?.reason) ? req.body.reason : ""
+  repo.suppressions.add({ email: target.email, reason, source: oneClick ? "un_clic" : "enlace", campaignId: target.campaignId })
+  res.send(unsubscribePage({ email: target.email, done: true }))
 })
 
-app.post("/api/products", requireAdmin, (req, res) => {
-  const data = req.body
-  if (!Array.isArray(data)) return res.status(400).json({ error: "array_required" })
-  writeData(productsFile, data)
-  res.json({ ok: true })
+app.get("/api/suppressions", requirePermission("campaigns.manage"), (req, res) => {
+  res.json(repo.suppressions.all())
 })
 
-const configFile = path.join(dataDir, "config.json")
+// Manual additions from the admin: `emails` (array or one per line) with an optional reason
+app.post("/api/suppressions", requirePermission("campaigns.manage"), (req, res) => {
+  const raw = Array.isArray(req.body?.emails) ? req.body.emails : String(req.body?.emails || req.body?.email || "").split(/[\s,;]+/)
+  const emails = normalizeEmails(raw)
+  if (!emails.length) return res.status(400).json({ error: "missing_fields" })
+  const reason = String(req.body.reason || "").trim()
+  const added = repo.transaction(() => emails.map(email => {
+    const before = repo.suppressions.get(email)
+    const entry = repo.suppressions.add({ email, reason, source: "admin" })
+    audit(req, { action: before ? "update" : "create", entity: "suppression", entityId: email, before, after: entry })
+    return entry
+  }))
+  res.json({ ok: true, added })
+})
 
-app.get("/api/config", (req, res) => {
-  const data = readData(configFile)
-  // Return default if empty
-  if (!data.logoUrl) data.logoUrl = ""
-  res.json(data)
+app.put("/api/suppressions/:email", requirePermission("campaigns.manage"), (req, res) => {
+  const entry = repo.suppressions.get(req.params.email)
+  if (!entry) return res.status(404).json({ error: "not_found" })
+  const saved = repo.suppressions.add({ ...entry, reason: String(req.body?.reason || "").trim() })
+  audit(req, { action: "update", entity: "suppression", entityId: entry.email, before: entry, after: saved })
+  res.json(saved)
 })
 
-app.post("/api/config", requireAdmin, (req, res) => {
-  const newConfig = req.body
-  const current = readData(configFile)
-  const updated = { ...current, ...newConfig }
-  writeData(configFile, updated)
+app.delete("/api/suppressions/:email", requirePermission("campaigns.manage"), (req, res) => {
+  const entry = repo.suppressions.get(req.params.email)
+  if (!entry) return res.status(404).json({ error: "not_found" })
+  repo.suppressions.remove(entry.email)
+  audit(req, { action: "delete", entity: "suppression", entityId: entry.email, before: entry })
   res.json({ ok: true })
 })
 
-const campaignsFile = path.join(dataDir, "campaigns.json")
-
-app.get("/api/campaigns", requireAdmin, (req, res) => {
-  const data = readData(campaignsFile)
-  res.json(data)
+app.get("/api/campaigns/:id/recipients", requirePermission("campaigns.manage"), (req, res) => {
+  if (!repo.campaigns.get(req.params.id)) return res.status(404).json({ error: "not_found" })
+  res.json(repo.campaignRecipients.list(req.params.id))
 })
 
-app.post("/api/campaign/send", requireAdmin, async (req, res) => {
-  const { subject, pdfUrl, emails, smtpConfig, publicUrl } = req.body
-  
-  if (!subject || !pdfUrl || !Array.isArray(emails) || emails.length === 0) {
-    return res.status(400).json({ error: "missing_fields" })
-  }
+// Allowed transitions: pause a sending campaign, resume a paused one, cancel either
+const CAMPAIGN_ACTIONS = {
+  pause: { from: ["sending"], to: "paused" },
+  resume: { from: ["paused"], to: "sending" },
+  cancel: { from: ["sending", "paused"], to: "cancelled" }
+}
 
-  const campaignId = Date.now().toString()
-  const campaign = {
-    id: campaignId,
-    date: new Date().toISOString(),
-    subject,
-    pdfUrl,
-    total: emails.length,
-    sent: 0,
-    opens: {}, // email -> timestamp
-    clicks: {} // email -> timestamp
+app.post("/api/campaigns/:id/:action(pause|resume|cancel)", requirePermission("campaigns.manage"), (req, res) => {
+  const campaign = repo.campaigns.get(req.params.id)
+  if (!campaign) return res.status(404).json({ error: "not_found" })
+  const action = CAMPAIGN_ACTIONS[req.params.action]
+  if (!action.from.includes(campaign.status)) {
+    return res.status(409).json({ error: "invalid_status", status: campaign.status || "completed" })
   }
+  const updated = setCampaignStatus(campaign.id, action.to)
+  audit(req, { action: req.params.action, entity: "campaign", entityId: campaign.id, before: { status: campaign.status }, after: { status: updated.status } })
+  res.json(publicCampaign(updated))
+})
 
-  // Save initial
-  const campaigns = readData(campaignsFile)
-  campaigns.unshift(campaign)
-  writeData(campaignsFile, campaigns)
-
-  // Configure Transporter
-  let transporter
-  if (smtpConfig && smtpConfig.host) {
-    transporter = nodemailer.createTransport({
-      host: smtpConfig.host,
-      port: smtpConfig.port || 587,
-      secure: smtpConfig.secure || false,
-      auth: {
-        user: smtpConfig.user,
-        pass: smtpConfig.pass
-      },
-      tls: {
-        rejectUnauthorized: false
-      }
-    })
-
-    // Verify SMTP connection before proceeding
-    try {
-      await transporter.verify()
-    } catch (error) {
-      console.error("SMTP Error:", error)
-      // Remove the failed campaign entry since we are aborting
-      const currentCampaigns = readData(campaignsFile)
-      const filtered = currentCampaigns.filter(x => x.id !== campaignId)
-      writeData(campaignsFile, filtered)
-      
-      return res.status(400).json({ 
-        error: "smtp_error", 
-        details: error.message,
-        response: error.response 
-      })
-    }
+// Transparent 1x1 GIF
+const TRACKING_PIXEL = Buffer.from("R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7", "base64")
 
-  } else {
-    // Simulation / Log mode
-    console.log("No SMTP config provided. Simulating emails.")
-    transporter = {
-      sendMail: async (opts) => {
-        console.log(`[SIMULATION] Email to ${opts.to}: Subject: ${opts.subject}`)
-        return { messageId: "simulated-" + Date.now() }
-      }
-    }
-  }
+function sendPixel(res) {
+  res.writeHead(200, {
+    "Content-Type": "image/gif",
+    "Content-Length": TRACKING_PIXEL.length,
+    "Cache-Control": "no-store"
+  })
+  res.end(TRACKING_PIXEL)
+}
 
-  // Send in background (don't wait for all)
-  const ip = getLocalIp()
-  const port = process.env.PORT || 3000
-  // Use provided publicUrl (ngrok) or fallback to local IP
-  let baseUrl = publicUrl ? publicUrl.replace(/\/$/, "") : `http://${ip}:${port}`
-  
-  res.json({ ok: true, id: campaignId, status: "sending_started" })
-
-  let sentCount = 0
-  for (const email of emails) {
-    const trackOpen = `${baseUrl}/api/track/open/${campaignId}/${encodeURIComponent(email)}`
-    const trackLink = `${baseUrl}/api/track/link/${campaignId}/${encodeURIComponent(email)}`
-    
-    const html = `
-      <div style="font-family: sans-serif; padding: 20px; border: 1px solid #eee; border-radius: 8px;">
-        <h2>${subject}</h2>
-        <p>Hola,</p>
-        <p>Adjunto encontrarás nuestra lista de precios actualizada.</p>
-        <div style="background-color: #f3f4f6; padding: 10px; border-radius: 6px; font-size: 11px; color: #555; margin: 15px 0;">
-            <strong>Nota:</strong> Si ves una pantalla de seguridad de "ngrok", presiona <strong>"Visit Site"</strong>.
-        </div>
-        <p style="margin: 20px 0;">
-          <a href="${trackLink}" style="background: #4f46e5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold;">
-            Descargar Lista de Precios
-          </a>
-        </p>
-        <p style="font-size: 12px; color: #666; margin-top: 15px;">O copia este enlace: <br>${trackLink}</p>
-        <img src="${trackOpen}" width="1" height="1" alt="" />
-      </div>
-    `
+// Queue row and campaign behind a signed tracking token
+function trackingTarget(token) {
+  const recipient = readTrackingToken(token)
+  const campaign = recipient && repo.campaigns.get(recipient.campaignId)
+  return campaign ? { recipient, campaign } : null
+}
 
-    try {
-      await transporter.sendMail({
-        from: smtpConfig?.from || '"Catálogo" <no-reply@example.com>',
-        to: email,
-        subject: subject,
-        html: html
-      })
-      sentCount++
-    } catch (err) {
-      console.error(`Error sending to ${email}:`, err)
-    }
-  }
-  
-  // Update sent count
-  const currentCampaigns = readData(campaignsFile)
-  const c = currentCampaigns.find(x => x.id === campaignId)
-  if (c) {
-    c.sent = sentCount
-    writeData(campaignsFile, currentCampaigns)
+app.get("/api/track/open/:token", (req, res) => {
+  const target = trackingTarget(req.params.token)
+  if (target) {
+    const { recipient, campaign } = target
+    recordCampaignEvent(campaign, { type: "open", recipientId: recipient.id, email: recipient.email, userAgent: req.get("user-agent") })
   }
+  sendPixel(res)
 })
 
+// Links from emails sent before signed tokens: still served, but no longer counted (they can be forged)
 app.get("/api/track/open/:id/:email", (req, res) => {
-  const { id, email } = req.params
-  const campaigns = readData(campaignsFile)
-  const c = campaigns.find(x => x.id === id)
-  if (c) {
-    if (!c.opens) c.opens = {}
-    if (!c.opens[email]) {
-      c.opens[email] = new Date().toISOString()
-      writeData(campaignsFile, campaigns)
-    }
-  }
-  // Transparent 1x1 GIF
-  const img = Buffer.from("R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7", "base64")
-  res.writeHead(200, {
-    "Content-Type": "image/gif",
-    "Content-Length": img.length
-  })
-  res.end(img)
+  sendPixel(res)
 })
 
 app.post("/api/public/client", (req, res) => {
-  const { email, nombre, apellido, celular, zona, tipo, campaignId } = req.body
+  const { nombre, apellido, celular, zona, tipo } = req.body
+  // Email campaigns send the tracking token; QR links only know the campaign id
+  const target = req.body.token ? trackingTarget(req.body.token) : null
+  const email = target ? target.recipient.email : req.body.email
+  const campaignId = target ? target.campaign.id : req.body.campaignId
   if (!email || !nombre) {
     return res.status(400).json({ error: "missing_fields" })
   }
+  const campaign = campaignId ? repo.campaigns.get(campaignId) : null
+  if (campaign) {
+    recordCampaignEvent(campaign, { type: "register", recipientId: target?.recipient.id ?? null, email, userAgent: req.get("user-agent"), source: req.body.source })
+  }
 
-  const clients = readData(clientsFile)
-  let client = clients.find(c => c.email === email)
+  let client = repo.clients.find(c => c.email === email)
+  const before = client ? structuredClone(client) : null
 
   if (client) {
     // Update existing
@@ -315,9 +1402,10 @@ app.post("/api/public/client", (req, res) => {
       created_at: new Date().toISOString(),
       campaigns: campaignId ? [campaignId] : []
     }
-    clients.push(client)
   }
-  writeData(clientsFile, clients)
+  repo.clients.save(client)
+  audit(req, { action: before ? "update" : "create", entity: "client", entityId: client.id, before, after: client })
+  notifyAdmin(leadNotice(client, campaign))
   res.json({ ok: true })
 })
 
@@ -327,73 +1415,268 @@ app.post("/api/portal/register", (req, res) => {
     return res.status(400).json({ error: "missing_fields" })
   }
 
-  const list = readData(clientsFile)
   const now = new Date().toISOString()
 
-  let client = list.find(c => c.email && c.email.toLowerCase() === String(email).toLowerCase())
+  let client = repo.clients.find(c => c.email && c.email.toLowerCase() === String(email).toLowerCase())
 
+  const before = client ? structuredClone(client) : null
   if (!client) {
-    const newId = list.length ? Math.max(...list.map(x => x.id || 0)) + 1 : 1
-    client = { id: newId }
-    list.push(client)
+    client = { id: repo.clients.nextId(), email, nombre, apellido: apellido || "", celular, zona: zona || "", tipo: tipo || "" }
+  } else {
+    // Anyone can send this form with someone else's email, so the data of a known client is only
+    // kept as a change for the panel to review, never written over the record
+    const sent = { nombre, apellido, celular, zona, tipo }
+    const changes = Object.fromEntries(Object.entries(sent)
+      .map(([k, v]) => [k, String(v || "").trim()])
+      .filter(([k, v]) => v && v !== String(client[k] || "")))
+    if (Object.keys(changes).length) client.portalPendingChanges = { ...changes, requestedAt: now }
+  }
+  if (client.portalRejectedAt) {
+    // A rejected client asking again goes back to the pending queue
+    delete client.portalRejectedAt
+    client.portalRequestedAt = now
   }
-
-  client.email = email
-  client.nombre = nombre
-  client.apellido = apellido || client.apellido || ""
-  client.celular = celular
-  client.zona = zona || client.zona || ""
-  client.tipo = tipo || client.tipo || ""
   client.portalRequestedAt = client.portalRequestedAt || now
   client.portalApproved = typeof client.portalApproved === "boolean" ? client.portalApproved : false
 
-  writeData(clientsFile, list)
+  repo.clients.save(client)
+  audit(req, { action: before ? "update" : "create", entity: "client", entityId: client.id, before, after: client })
+  // Only new requests: a pending client sending the form again is not news
+  if (client.portalApproved !== true && (!before || before.portalRequestedAt !== client.portalRequestedAt)) {
+    notifyAdmin(registrationNotice(client))
+  }
 
   return res.json({ ok: true })
 })
 
-app.post("/api/portal/login", (req, res) => {
+const PORTAL_SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000
+
+function createPortalSession(clientId) {
+  const token = generateToken()
+  const now = Date.now()
+  repo.portalSessions.removeWhere(s => new Date(s.expiresAt).getTime() <= now)
+  repo.portalSessions.save({
+    tokenHash: hashToken(token),
+    clientId,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + PORTAL_SESSION_TTL_MS).toISOString()
+  })
+  return token
+}
+
+function revokePortalSessions(clientId) {
+  repo.portalSessions.removeWhere(s => s.clientId === clientId)
+}
+
+function getPortalToken(req) {
+  const header = req.headers.authorization || ""
+  if (header.startsWith("Bearer ")) return header.slice(7).trim()
+  return String(req.headers["x-portal-token"] || "")
+}
+
+// Returns the approved client behind the request's portal token, or null
+function getPortalClient(req) {
+  const token = getPortalToken(req)
+  if (!token) return null
+  const tokenHash = hashToken(token)
+  const session = repo.portalSessions.get(tokenHash)
+  if (!session || new Date(session.expiresAt).getTime() <= Date.now()) return null
+  const client = repo.clients.get(session.clientId)
+  if (!client || client.portalApproved !== true) return null
+  return client
+}
+
+function requirePortal(req, res, next) {
+  const client = getPortalClient(req)
+  if (!client) return res.status(401).json({ error: "unauthorized" })
+  req.portalClient = client
+  next()
+}
+
+function portalClientView(client) {
+  return {
+    id: client.id,
+    email: client.email,
+    nombre: client.nombre,
+    apellido: client.apellido,
+    celular: client.celular,
+    zona: client.zona || "",
+    tipo: client.tipo || ""
+  }
+}
+
+app.post("/api/portal/login", async (req, res) => {
   const { email, password } = req.body
   if (!email || !password) {
     return res.status(400).json({ error: "missing_fields" })
   }
 
-  const list = readData(clientsFile)
-  const client = list.find(c => c.email && c.email.toLowerCase() === String(email).toLowerCase())
+  const client = repo.clients.find(c => c.email && c.email.toLowerCase() === String(email).toLowerCase())
 
   if (!client || !client.portalPasswordHash) {
     return res.status(404).json({ error: "not_found" })
   }
 
-  const pwdHash = hashPassword(password)
-  if (client.portalPasswordHash !== pwdHash) {
+  const valid = await verifyPassword(password, client.portalPasswordHash)
+  if (!valid) {
     return res.status(401).json({ error: "invalid_credentials" })
   }
+  if (client.portalApproved !== true) {
+    return res.status(403).json({ error: "not_approved" })
+  }
+
+  // Transparently upgrade legacy SHA-256 hashes on a successful login
+  if (needsRehash(client.portalPasswordHash)) {
+    client.portalPasswordHash = await hashPassword(password)
+  }
 
   const now = new Date().toISOString()
   client.portalLastLoginAt = now
   client.portalLoginCount = typeof client.portalLoginCount === "number" ? client.portalLoginCount + 1 : 1
 
-  writeData(clientsFile, list)
+  repo.clients.save(client)
+
+  const token = createPortalSession(client.id)
 
   return res.json({
     ok: true,
-    client: {
-      id: client.id,
-      email: client.email,
-      nombre: client.nombre,
-      apellido: client.apellido,
-      celular: client.celular,
-      zona: client.zona || "",
-      tipo: client.tipo || ""
+    token,
+    client: portalClientView(client)
+  })
+})
+
+app.get("/api/portal/me", requirePortal, (req, res) => {
+  res.json({ ok: true, client: portalClientView(req.portalClient) })
+})
+
+app.post("/api/portal/logout", (req, res) => {
+  const token = getPortalToken(req)
+  if (token) {
+    repo.portalSessions.remove(hashToken(token))
+  }
+  res.json({ ok: true })
+})
+
+function portalStatus(client) {
+  if (client.portalApproved === true) return "aprobado"
+  if (client.portalRejectedAt) return "rechazado"
+  return "pendiente"
+}
+
+app.get("/api/portal/requests", requirePermission("clients.read"), (req, res) => {
+  const { status } = req.query
+  const list = repo.clients.filter(c => c.portalRequestedAt)
+    .map(c => ({
+      id: c.id,
+      email: c.email || "",
+      nombre: c.nombre || "",
+      apellido: c.apellido || "",
+      celular: c.celular || "",
+      zona: c.zona || "",
+      tipo: c.tipo || "",
+      status: portalStatus(c),
+      portalRequestedAt: c.portalRequestedAt,
+      portalApprovedAt: c.portalApprovedAt || null,
+      portalRejectedAt: c.portalRejectedAt || null,
+      portalCredentialsSentAt: c.portalCredentialsSentAt || null,
+      portalCredentialsChannel: c.portalCredentialsChannel || null,
+      portalLastLoginAt: c.portalLastLoginAt || null,
+      pendingChanges: c.portalPendingChanges || null
+    }))
+    .filter(c => !status || c.status === status)
+    .sort((a, b) => String(b.portalRequestedAt).localeCompare(String(a.portalRequestedAt)))
+  res.json(list)
+})
+
+// Approves (if needed) and issues a fresh password, delivered by email or as a WhatsApp text
+async function issuePortalCredentials(req, res) {
+  const { channel, smtpConfig, publicUrl } = req.body || {}
+  const client = repo.clients.get(Number(req.params.id))
+  if (!client) return res.status(404).json({ error: "not_found" })
+  if (!client.email) return res.status(400).json({ error: "email_required" })
+
+  const sendBy = channel === "email" ? "email" : "whatsapp"
+  const password = generatePassword()
+  const portalUrl = `${getBaseUrl(publicUrl)}/app?portal=1`
+  const message = buildPortalCredentialsText({ nombre: client.nombre, email: client.email, password, portalUrl })
+
+  if (sendBy === "email") {
+    try {
+      const transporter = createMailTransport(smtpConfig)
+      await sendPortalCredentials(transporter, {
+        to: client.email,
+        nombre: client.nombre,
+        password,
+        portalUrl,
+        from: smtpConfig?.from
+      })
+    } catch (error) {
+      console.error("Portal credentials email error:", error)
+      return res.status(400).json({ error: "smtp_error", details: error.message })
     }
+  }
+
+  const now = new Date().toISOString()
+  const before = structuredClone(client)
+  client.portalPasswordHash = await hashPassword(password)
+  client.portalApproved = true
+  client.portalApprovedAt = client.portalApprovedAt || now
+  delete client.portalRejectedAt
+  client.portalCredentialsSentAt = now
+  client.portalCredentialsChannel = sendBy
+  repo.clients.save(client)
+  audit(req, { action: before.portalApproved ? "portal_reset" : "portal_approve", entity: "client", entityId: client.id, before, after: client })
+  // A new password logs out every device that used the old one
+  revokePortalSessions(client.id)
+
+  const num = String(client.celular || "").replace(/\D/g, "")
+  res.json({
+    ok: true,
+    channel: sendBy,
+    password,
+    message,
+    waLink: num ? `https://wa.me/${num}?text=${encodeURIComponent(message)}` : ""
   })
+}
+
+app.post("/api/portal/requests/:id/approve", requirePermission("clients.write"), issuePortalCredentials)
+app.post("/api/portal/requests/:id/reset-password", requirePermission("clients.write"), issuePortalCredentials)
+
+// Data sent again through the register form for a known client: applied or dropped from the panel
+app.post("/api/portal/requests/:id/changes/:decision", requirePermission("clients.write"), (req, res) => {
+  const client = repo.clients.get(Number(req.params.id))
+  if (!client) return res.status(404).json({ error: "not_found" })
+  if (!client.portalPendingChanges) return res.status(409).json({ error: "no_pending_changes" })
+  if (!["apply", "discard"].includes(req.params.decision)) return res.status(404).json({ error: "not_found" })
+  const before = structuredClone(client)
+  if (req.params.decision === "apply") {
+    const { requestedAt, ...changes } = client.portalPendingChanges
+    Object.assign(client, changes)
+  }
+  delete client.portalPendingChanges
+  repo.clients.save(client)
+  audit(req, { action: "update", entity: "client", entityId: client.id, before, after: client })
+  res.json({ ok: true })
+})
+
+app.post("/api/portal/requests/:id/reject", requirePermission("clients.write"), (req, res) => {
+  const client = repo.clients.get(Number(req.params.id))
+  if (!client) return res.status(404).json({ error: "not_found" })
+  const before = structuredClone(client)
+  client.portalApproved = false
+  client.portalRejectedAt = new Date().toISOString()
+  delete client.portalPasswordHash
+  repo.clients.save(client)
+  audit(req, { action: "portal_reject", entity: "client", entityId: client.id, before, after: client })
+  revokePortalSessions(client.id)
+  res.json({ ok: true })
 })
 
-app.post("/api/campaign/public", requireAdmin, (req, res) => {
+app.post("/api/campaign/public", requirePermission("campaigns.manage"), (req, res) => {
   const { subject, pdfUrl, publicUrl } = req.body
   if (!subject || !pdfUrl) return res.status(400).json({ error: "missing_fields" })
 
+  const baseUrl = getBaseUrl(publicUrl)
   const campaignId = "qr-" + Date.now().toString()
   const campaign = {
     id: campaignId,
@@ -404,73 +1687,117 @@ app.post("/api/campaign/public", requireAdmin, (req, res) => {
     sent: 0,
     opens: {},
     clicks: {},
+    baseUrl, // QR images and flyers printed later must keep pointing here
     type: "qr" // Mark as QR/Public campaign
   }
   
-  const campaigns = readData(campaignsFile)
-  campaigns.unshift(campaign)
-  writeData(campaignsFile, campaigns)
-
-  const ip = getLocalIp()
-  const port = process.env.PORT || 3000
-  let baseUrl = publicUrl ? publicUrl.replace(/\/$/, "") : `http://${ip}:${port}`
+  repo.campaigns.save(campaign)
+  audit(req, { action: "create", entity: "campaign", entityId: campaignId, after: campaign })
   
   res.json({ 
       ok: true, 
       id: campaignId, 
-      link: `${baseUrl}/api/public/go/${campaignId}` 
+      link: campaignQrLink(campaign, baseUrl, req.body.source)
   })
 })
 
+// QR images and printable flyer of a public campaign; ?source= tags the scans of that copy
+function qrCampaign(req, res) {
+  const campaign = repo.campaigns.get(req.params.id)
+  if (!campaign || campaign.type !== "qr") {
+    res.status(404).json({ error: "not_found" })
+    return null
+  }
+  return campaign
+}
+
+function clampInt(value, fallback, min, max) {
+  const n = parseInt(value, 10)
+  return Number.isInteger(n) ? Math.min(max, Math.max(min, n)) : fallback
+}
+
+app.get("/api/campaign/:id/qr.svg", (req, res) => {
+  const campaign = qrCampaign(req, res)
+  if (!campaign) return
+  const link = campaignQrLink(campaign, getBaseUrl(), req.query.source)
+  const svg = qrSvg(link, { margin: clampInt(req.query.margin, 4, 0, 16), size: clampInt(req.query.size, 256, 64, 2048) })
+  res.type("image/svg+xml")
+  if (req.query.download) res.attachment(`${campaign.id}.svg`)
+  res.send(svg)
+})
+
+app.get("/api/campaign/:id/qr.png", (req, res) => {
+  const campaign = qrCampaign(req, res)
+  if (!campaign) return
+  const link = campaignQrLink(campaign, getBaseUrl(), req.query.source)
+  const png = qrPng(link, { margin: clampInt(req.query.margin, 4, 0, 16), scale: clampInt(req.query.scale, 8, 1, 32) })
+  res.type("image/png")
+  if (req.query.download) res.attachment(`${campaign.id}.png`)
+  res.send(png)
+})
+
+app.get("/api/campaign/:id/flyer", (req, res) => {
+  const campaign = qrCampaign(req, res)
+  if (!campaign) return
+  const link = campaignQrLink(campaign, getBaseUrl(), req.query.source)
+  res.type("html").send(flyerPage({ subject: campaign.subject, logoUrl: repo.config.get().logoUrl, link }))
+})
+
 app.get("/api/public/go/:id", (req, res) => {
     const { id } = req.params
-    const campaigns = readData(campaignsFile)
-    const c = campaigns.find(x => x.id === id)
+    const c = repo.campaigns.get(id)
     if (c) {
+        const source = normalizeSource(req.query.src)
+        recordCampaignEvent(c, { type: "scan", userAgent: req.get("user-agent"), source })
         // Redirect to download form without email (user must enter it)
-        const redirectUrl = `/download.html?cid=${encodeURIComponent(id)}&pdf=${encodeURIComponent(c.pdfUrl)}`
+        const redirectUrl = `/download.html?cid=${encodeURIComponent(id)}&pdf=${encodeURIComponent(c.pdfUrl)}${source ? `&src=${source}` : ""}`
         return res.redirect(redirectUrl)
     }
     res.status(404).send("Link not found")
 })
 
+app.get("/api/track/link/:token", (req, res) => {
+  const target = trackingTarget(req.params.token)
+  if (!target) return res.status(404).send("Campaign not found")
+  const { recipient, campaign } = target
+  recordCampaignEvent(campaign, { type: "click", recipientId: recipient.id, email: recipient.email, userAgent: req.get("user-agent") })
+  // Redirect to download form instead of direct PDF; the page reads the address from the token
+  const redirectUrl = `/download.html?t=${encodeURIComponent(req.params.token)}&pdf=${encodeURIComponent(campaign.pdfUrl)}`
+  res.redirect(redirectUrl)
+})
+
+// Old-style links keep opening the download form without being counted
 app.get("/api/track/link/:id/:email", (req, res) => {
   const { id, email } = req.params
-  const campaigns = readData(campaignsFile)
-  const c = campaigns.find(x => x.id === id)
+  const c = repo.campaigns.get(id)
   if (c) {
-    if (!c.clicks) c.clicks = {}
-    if (!c.clicks[email]) {
-      c.clicks[email] = new Date().toISOString()
-      writeData(campaignsFile, campaigns)
-    }
-    // Redirect to download form instead of direct PDF
     const redirectUrl = `/download.html?email=${encodeURIComponent(email)}&cid=${encodeURIComponent(id)}&pdf=${encodeURIComponent(c.pdfUrl)}`
     return res.redirect(redirectUrl)
   }
   res.status(404).send("Campaign not found")
 })
 
-app.post("/api/smtp/test", requireAdmin, async (req, res) => {
+// Prefills the download form opened from an email link
+app.get("/api/track/recipient/:token", (req, res) => {
+  const target = trackingTarget(req.params.token)
+  if (!target) return res.status(404).json({ error: "not_found" })
+  res.json({ email: target.recipient.email, campaignId: target.campaign.id })
+})
+
+app.get("/api/campaigns/:id/stats", requirePermission("campaigns.manage"), (req, res) => {
+  const campaign = repo.campaigns.get(req.params.id)
+  if (!campaign) return res.status(404).json({ error: "not_found" })
+  res.json(campaignStats(campaign, { bucket: req.query.bucket === "hour" ? "hour" : "day" }))
+})
+
+app.post("/api/smtp/test", requirePermission("config.write"), async (req, res) => {
   const { smtpConfig } = req.body
   if (!smtpConfig || !smtpConfig.host) {
     return res.status(400).json({ error: "missing_config" })
   }
 
   try {
-    const transporter = nodemailer.createTransport({
-      host: smtpConfig.host,
-      port: smtpConfig.port || 587,
-      secure: smtpConfig.secure || false,
-      auth: {
-        user: smtpConfig.user,
-        pass: smtpConfig.pass
-      },
-      tls: {
-        rejectUnauthorized: false
-      }
-    })
-
+    const transporter = createMailTransport(smtpConfig)
     await transporter.verify()
     res.json({ ok: true })
   } catch (error) {
@@ -483,9 +1810,10 @@ app.post("/api/smtp/test", requireAdmin, async (req, res) => {
   }
 })
 
-app.get("/api/clients", requireAdmin, (req, res) => {
-  const data = readData(clientsFile)
-  res.json(data)
+app.get("/api/clients", requirePermission("clients.read"), (req, res) => {
+  const data = repo.clients.all()
+  // Password hashes never leave the server
+  res.json(data.map(({ portalPasswordHash, ...c }) => c))
 })
 
 app.post("/api/clients", (req, res) => {
@@ -498,12 +1826,21 @@ app.post("/api/clients", (req, res) => {
   // The checkout process only *reads* clients to see if exists, then *adds* one.
   // We need a specific endpoint for "upsert client" from public checkout without auth.
   
-  // If headers has auth, it's admin saving full list
-  const header = req.headers.authorization || ""
-  if (header.includes("Basic")) {
+  // A full list comes from the admin screens and needs the clients.write permission
+  if (Array.isArray(req.body)) {
+    if (!getAdminUser(req)) return res.status(401).json({ error: "unauthorized" })
+    if (!hasPermission(req, "clients.write")) return res.status(403).json({ error: "forbidden", permission: "clients.write" })
     const data = req.body
-    if (!Array.isArray(data)) return res.status(400).json({ error: "array_required" })
-    writeData(clientsFile, data)
+    // The admin list is sent without hashes, keep the stored ones
+    const hashes = new Map(repo.clients.filter(c => c.portalPasswordHash).map(c => [c.id, c.portalPasswordHash]))
+    for (const c of data) {
+      if (c && hashes.has(c.id)) c.portalPasswordHash = hashes.get(c.id)
+    }
+    repo.transaction(() => {
+      const before = repo.clients.all()
+      repo.clients.replaceAll(data.filter(c => c && typeof c === "object"))
+      recordListAudit({ actor: auditActor(req), entity: "client", before, after: repo.clients.all() })
+    })
     return res.json({ ok: true })
   }
   
@@ -511,7 +1848,7 @@ app.post("/api/clients", (req, res) => {
   const client = req.body
   if (!client || !client.celular) return res.status(400).json({ error: "invalid_client" })
   
-  const list = readData(clientsFile)
+  const list = repo.clients.all()
   const ced = (client.cedula || "").trim()
   const cel = (client.celular || "").trim()
   
@@ -521,10 +1858,9 @@ app.post("/api/clients", (req, res) => {
     if (!found && cel && c.celular === cel) found = c
   }
   
+  const before = found ? structuredClone(found) : null
   if (!found) {
-    const newId = list.length ? Math.max(...list.map(x => x.id || 0)) + 1 : 1
-    found = { id: newId }
-    list.push(found)
+    found = { id: repo.clients.nextId() }
   }
   
   // Merge fields
@@ -542,56 +1878,303 @@ app.post("/api/clients", (req, res) => {
     found.interesado = true
   }
   
-  writeData(clientsFile, list)
+  repo.clients.save(found)
+  audit(req, { action: before ? "update" : "create", entity: "client", entityId: found.id, before, after: found })
   res.json({ ok: true, id: found.id })
 })
 
-app.get("/api/catalogs", requireAdmin, (req, res) => {
-  const list = readData(catalogsFile)
+app.get("/api/catalogs", requirePermission("catalogs.read"), (req, res) => {
+  const list = repo.catalogs.all()
   res.json(list)
 })
 
-app.post("/api/catalogs", requireAdmin, (req, res) => {
+app.post("/api/catalogs", requirePermission("catalogs.write"), (req, res) => {
   const { id, title, url } = req.body || {}
   if (!title || !url) {
     return res.status(400).json({ error: "missing_fields" })
   }
-  const list = readData(catalogsFile)
   const now = new Date().toISOString()
-  let item = null
-  if (id) {
-    const numId = Number(id)
-    const idx = list.findIndex(c => Number(c.id) === numId)
-    if (idx >= 0) {
-      item = list[idx]
-      item.title = title
-      item.url = url
-      item.updatedAt = now
-    }
-  }
-  if (!item) {
-    const newId = list.length ? Math.max(...list.map(x => Number(x.id) || 0)) + 1 : 1
-    item = { id: newId, title, url, createdAt: now }
-    list.push(item)
+  let item = id ? repo.catalogs.get(Number(id)) : null
+  const before = item ? { ...item } : null
+  if (item) {
+    item.title = title
+    item.url = url
+    item.updatedAt = now
+  } else {
+    item = { id: repo.catalogs.nextId(), title, url, createdAt: now }
   }
-  writeData(catalogsFile, list)
+  repo.catalogs.save(item)
+  audit(req, { action: before ? "update" : "create", entity: "catalog", entityId: item.id, before, after: item })
   res.json({ ok: true, item })
 })
 
-app.delete("/api/catalogs/:id", requireAdmin, (req, res) => {
-  const { id } = req.params
-  const list = readData(catalogsFile)
-  const numId = Number(id)
-  const filtered = list.filter(c => Number(c.id) !== numId)
-  writeData(catalogsFile, filtered)
+app.delete("/api/catalogs/:id", requirePermission("catalogs.write"), (req, res) => {
+  const item = repo.catalogs.get(Number(req.params.id))
+  if (item) {
+    repo.catalogs.remove(item.id)
+    audit(req, { action: "delete", entity: "catalog", entityId: item.id, before: item })
+  }
   res.json({ ok: true })
 })
 
+// Price lists generated from the live catalog. Each generation is a new version of the list
+// (by title) saved under /uploads; publishing points the list's catalog entry at that version.
+async function buildPriceList(options, version) {
+  const currency = storeCurrency()
+  const { sections, count } = priceListSections(inStoreCurrency(repo.products.all(), currency), options)
+  const logo = await loadLogo(repo.config.get().logoUrl, uploadDir)
+  const { buffer, pages } = renderPriceList({ options, sections, logo, version, currency })
+  return { buffer, pages, count }
+}
+
+function publishPriceList(req, list) {
+  const now = new Date().toISOString()
+  let item = repo.catalogs.find(c => c.priceList === list.slug)
+  const before = item ? { ...item } : null
+  if (item) {
+    Object.assign(item, { title: list.title, url: list.url, priceListId: list.id, updatedAt: now })
+  } else {
+    item = { id: repo.catalogs.nextId(), title: list.title, url: list.url, priceList: list.slug, priceListId: list.id, createdAt: now }
+  }
+  repo.catalogs.save(item)
+  audit(req, { action: before ? "update" : "create", entity: "catalog", entityId: item.id, before, after: item })
+  return item
+}
+
+app.get("/api/price-lists", requirePermission("catalogs.read"), (req, res) => {
+  const published = new Map(repo.catalogs.filter(c => c.priceList).map(c => [c.priceList, c.priceListId]))
+  const list = repo.priceLists.all()
+    .sort((a, b) => b.id - a.id)
+    .map(l => ({ ...l, published: published.get(l.slug) === l.id }))
+  res.json(list)
+})
+
+// The PDF as it would come out, without saving a version
+app.post("/api/price-lists/preview", requirePermission("catalogs.write"), async (req, res) => {
+  const { options, error } = priceListOptions(req.body)
+  if (error) return res.status(400).json({ error })
+  try {
+    const { buffer } = await buildPriceList(options, null)
+    res.type("application/pdf").set("Content-Disposition", "inline").send(buffer)
+  } catch (err) {
+    console.error("Price list preview error:", err)
+    res.status(500).json({ error: "price_list_failed" })
+  }
+})
+
+app.post("/api/price-lists", requirePermission("catalogs.write"), async (req, res) => {
+  const { options, error } = priceListOptions(req.body)
+  if (error) return res.status(400).json({ error })
+  try {
+    const slug = slugify(options.title)
+    const version = repo.priceLists.filter(l => l.slug === slug).reduce((max, l) => Math.max(max, l.version), 0) + 1
+    const { buffer, pages, count } = await buildPriceList(options, version)
+    const filename = `${slug}-v${version}.pdf`
+    fs.writeFileSync(path.join(uploadDir, filename), buffer)
+    repo.media.removeWhere(m => m.filename === filename)
+    recordMedia(filename, buffer, { mime: "application/pdf", user: adminUser(req) })
+    const list = {
+      id: repo.priceLists.nextId(),
+      slug,
+      title: options.title,
+      version,
+      options,
+      url: `/uploads/${filename}`,
+      products: count,
+      pages,
+      createdAt: new Date().toISOString(),
+      createdBy: adminUser(req)
+    }
+    repo.priceLists.insert(list)
+    audit(req, { action: "create", entity: "priceList", entityId: list.id, after: list })
+    const catalog = req.body?.publish === false ? null : publishPriceList(req, list)
+    res.json({ ok: true, item: list, catalog })
+  } catch (err) {
+    console.error("Price list error:", err)
+    res.status(500).json({ error: "price_list_failed" })
+  }
+})
+
+// Points the catalog entry back at an earlier version
+app.post("/api/price-lists/:id/publish", requirePermission("catalogs.write"), (req, res) => {
+  const list = repo.priceLists.get(Number(req.params.id))
+  if (!list) return res.status(404).json({ error: "not_found" })
+  res.json({ ok: true, catalog: publishPriceList(req, list) })
+})
+
 app.get("/api/public/catalogs", (req, res) => {
-  const list = readData(catalogsFile)
+  const list = repo.catalogs.all()
+  res.json(list)
+})
+
+const ORDER_STATUSES = ["nuevo", "confirmado", "preparado", "entregado", "cancelado"]
+
+// Free text from the checkout or a chat profile, as a bounded string whatever was sent
+function orderText(value, max = 120) {
+  return typeof value === "string" || typeof value === "number" ? String(value).trim().slice(0, max) : ""
+}
+
+// Order from [{ id, qty }]; null when no line matches a product. Used by the web checkout and
+// the WhatsApp chat cart.
+function createOrder({ items, customer, entrega = "", portalClient = null, channel = "web", user }) {
+  const c = customer || {}
+  // Prices are snapshotted from the catalog, never taken from the browser, in the store currency
+  const currency = storeCurrency()
+  const products = customerCatalog(currency)
+  const tier = tierForClient(portalClient)
+  const lines = []
+  for (const it of items) {
+    const qty = Math.floor(Number(it && it.qty))
+    if (!it || !qty || qty < 1) continue
+    const p = products.find(x => Number(x.id) === Number(it.id))
+    // A parent only groups variants; what is sold is one of them
+    if (!p || isVariantParent(p)) continue
+    const price = resolvePrice(p, tier, qty)
+    const line = {
+      productId: p.id,
+      name: displayName(p, products),
+      code: p.code || "",
+      sku: p.sku || "",
+      qty,
+      price,
+      subtotal: price == null ? null : roundMoney(price * qty, currency.primary, currency)
+    }
+    if (isKit(p)) line.kitItems = kitLineItems(p, products)
+    lines.push(line)
+  }
+  if (!lines.length) return null
+
+  const now = new Date().toISOString()
+  const order = {
+    id: null,
+    createdAt: now,
+    updatedAt: now,
+    status: "nuevo",
+    statusHistory: [{ status: "nuevo", at: now }],
+    customer: {
+      nombre: orderText(c.nombre),
+      apellido: orderText(c.apellido),
+      cedula: orderText(c.cedula, 30),
+      direccion: orderText(c.direccion, 300),
+      celular: orderText(c.celular, 30),
+      email: orderText(c.email, 200),
+      tipo: orderText(c.tipo, 40)
+    },
+    entrega: orderText(entrega, 300),
+    channel,
+    portalClientId: portalClient ? portalClient.id : null,
+    priceTier: tier || "detal",
+    items: lines,
+    total: roundMoney(lines.reduce((acc, l) => acc + (l.subtotal || 0), 0), currency.primary, currency),
+    hasQuoteItems: lines.some(l => l.price == null),
+    currency: currency.primary
+  }
+  // The rate of the day travels with the order, so its amounts can be restated later
+  if (currency.rate) {
+    order.exchangeRate = { currency: currency.secondary, rate: currency.rate, date: currency.rateDate }
+    order.totalSecondary = convert(order.total, currency.primary, currency.secondary, currency)
+  }
+  repo.transaction(() => {
+    order.id = repo.orders.nextId()
+    // Checkout never blocks on stock: the sale is recorded even if it overdraws the count
+    recordStockMovements(orderStockMovements(order, "venta", `Pedido N° ${order.id}`), user)
+    order.stockApplied = true
+    repo.orders.save(order)
+    repo.baskets.insert({ id: null, orderId: order.id, channel, productIds: lines.map(l => l.productId), createdAt: now })
+  })
+  notifyAdmin(orderNotice(order))
+  return order
+}
+
+app.post("/api/orders", (req, res) => {
+  const { items, customer, entrega } = req.body || {}
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ error: "items_required" })
+  }
+  const c = customer || {}
+  if (!c.nombre || !c.celular) {
+    return res.status(400).json({ error: "missing_fields" })
+  }
+
+  const order = createOrder({ items, customer: c, entrega: entrega || c.entrega || "", portalClient: getPortalClient(req), user: "checkout" })
+  if (!order) return res.status(400).json({ error: "items_required" })
+  res.json({ ok: true, id: order.id, total: order.total, currency: order.currency, totalSecondary: order.totalSecondary, exchangeRate: order.exchangeRate })
+})
+
+app.get("/api/orders", requirePermission("orders.read"), (req, res) => {
+  const { status, q, from, to } = req.query
+  const text = String(q || "").toLowerCase().trim()
+  let list = repo.orders.all()
+  if (status) list = list.filter(o => o.status === status)
+  if (from) list = list.filter(o => o.createdAt >= String(from))
+  if (to) list = list.filter(o => o.createdAt.slice(0, 10) <= String(to))
+  if (text) {
+    list = list.filter(o => {
+      const cu = o.customer || {}
+      const hay = `${o.id} ${cu.nombre || ""} ${cu.apellido || ""} ${cu.cedula || ""} ${cu.celular || ""}`.toLowerCase()
+      return hay.includes(text)
+    })
+  }
+  list.sort((a, b) => b.id - a.id)
   res.json(list)
 })
 
+// Pairs of products most often in the same checkout basket, for the panel statistics
+app.get("/api/orders/co-purchase", requirePermission("orders.read"), (req, res) => {
+  const model = coPurchaseModel()
+  const products = repo.products.all()
+  const nameOf = id => {
+    const p = products.find(x => x.id === id)
+    return p ? p.name : `Producto ${id}`
+  }
+  const pairs = topPairs(model, clampInt(req.query.limit, 10, 1, 50))
+    .map(pair => ({ ...pair, names: pair.productIds.map(nameOf) }))
+  res.json({ baskets: model.baskets, pairs })
+})
+
+app.get("/api/orders/:id", requirePermission("orders.read"), (req, res) => {
+  const order = repo.orders.get(Number(req.params.id))
+  if (!order) return res.status(404).json({ error: "not_found" })
+  res.json(order)
+})
+
+// Moves an order to a new status, returning or re-taking its stock when it is cancelled or
+// reactivated. Used by the panel and the Telegram commands; false when nothing changed.
+function changeOrderStatus(order, status, { user, actor }) {
+  if (order.status === status) return false
+  const before = { status: order.status, stockApplied: order.stockApplied }
+  let movements = []
+  if (status === "cancelado" && order.stockApplied) {
+    movements = orderStockMovements(order, "devolucion", `Pedido N° ${order.id} cancelado`)
+    order.stockApplied = false
+  } else if (order.status === "cancelado" && order.stockApplied === false) {
+    movements = orderStockMovements(order, "venta", `Pedido N° ${order.id} reactivado`)
+    order.stockApplied = true
+  }
+  const now = new Date().toISOString()
+  order.status = status
+  order.updatedAt = now
+  if (!Array.isArray(order.statusHistory)) order.statusHistory = []
+  order.statusHistory.push({ status, at: now })
+  repo.transaction(() => {
+    recordStockMovements(movements, user)
+    repo.orders.save(order)
+    recordAudit({ actor, action: "update", entity: "order", entityId: order.id, before, after: { status: order.status, stockApplied: order.stockApplied } })
+  })
+  return true
+}
+
+app.patch("/api/orders/:id/status", requirePermission("orders.write"), (req, res) => {
+  const { status } = req.body || {}
+  if (!ORDER_STATUSES.includes(status)) {
+    return res.status(400).json({ error: "invalid_status" })
+  }
+  const order = repo.orders.get(Number(req.params.id))
+  if (!order) return res.status(404).json({ error: "not_found" })
+  changeOrderStatus(order, status, { user: adminUser(req), actor: auditActor(req) })
+  res.json({ ok: true, order })
+})
+
 function requireExternalApiKey(req, res, next) {
   const expected = process.env.EXTERNAL_API_KEY
   if (!expected) {
@@ -604,137 +2187,144 @@ function requireExternalApiKey(req, res, next) {
   next()
 }
 
-function findBestProductMatchForText(text, products) {
-  const q = String(text || "").toLowerCase()
-  const list = Array.isArray(products) ? products : []
-  let best = null
-  let bestScore = 0
-  for (const p of list) {
-    const name = String(p.name || "").toLowerCase()
-    const hay = `${p.name || ""} ${p.desc || ""}`.toLowerCase()
-    let score = 0
-    const words = q.split(/\s+/).filter(Boolean)
-    for (const w of words) {
-      if (!w) continue
-      if (name.includes(w)) score += 3
-      if (hay.includes(w)) score += 1
-    }
-    if (score > bestScore) {
-      bestScore = score
-      best = p
-    }
-  }
-  if (bestScore === 0) return null
-  return best
-}
-
-function recommendProductsForQueryText(query, products) {
-  const q = String(query || "").toLowerCase()
-  const words = q.split(/\s+/).filter(Boolean)
-  const list = Array.isArray(products) ? products : []
-  const filtered = []
-  for (const p of list) {
-    if (p.available && p.available !== "Disponible") continue
-    const hay = `${p.name || ""} ${p.desc || ""} ${p.category || ""} ${p.subcategory || ""} ${p.material || ""} ${p.brand || ""}`.toLowerCase()
-    let score = 0
-    if (!words.length) score += 1
-    for (const w of words) {
-      if (hay.includes(w)) score += 3
-    }
-    if (/lámpara|lampara|iluminación|iluminacion|foco|bombillo/.test(q) && p.category === "Electricidad") score += 4
-    if (/tubo|agua|llave|grifo|grifería|griferia|sifón|sifon/.test(q) && p.category === "Plomería") score += 4
-    if (p.price != null) {
-      const val = Number(p.price)
-      if (!Number.isNaN(val)) score += Math.min(val / 1000, 5)
-    }
-    if (score > 0) {
-      filtered.push({ p, score })
-    }
-  }
-  filtered.sort((a, b) => b.score - a.score)
-  return filtered.slice(0, 4).map(x => x.p)
-}
-
-function buildAssistantReplyForWhatsApp(message, products) {
-  const text = String(message || "").trim()
-  if (!text) {
-    return "Hola, soy tu asistente de compras de EMBAIR. Cuéntame qué necesitas y buscaré productos en el catálogo mayorista para ayudarte."
-  }
-  const lower = text.toLowerCase()
-  if (/tablero/.test(lower) && !/empotrado|superficie|m[oó]dulo|modulo/.test(lower)) {
-    return "Para ayudarte mejor con tableros, indícame si lo necesitas empotrado o de superficie y para cuántos módulos aproximadamente."
-  }
-  const productsList = Array.isArray(products) ? products : []
-  if (!productsList.length) {
-    return "Por ahora no tengo productos cargados en el catálogo. Intenta de nuevo más tarde o contacta directamente con un asesor."
-  }
-  if (/disponible|tienes|tienen|hay|stock/.test(lower)) {
-    const prod = findBestProductMatchForText(text, productsList)
-    if (prod) {
-      if (prod.available && prod.available !== "Disponible") {
-        const altQuery = `${prod.category || ""} ${prod.subcategory || ""}`
-        const recsAlt = recommendProductsForQueryText(altQuery, productsList)
-        let msg = `Ese producto figura como *agotado* en el catálogo: *${prod.name}*.\n`
-        if (recsAlt.length) {
-          msg += "\n*Opciones alternativas que podrían servirte:*\n"
-          for (const r of recsAlt) {
-            const parts = []
-            if (r.category) parts.push(r.category)
-            if (r.subcategory) parts.push(r.subcategory)
-            if (r.material) parts.push(r.material)
-            const desc = parts.length ? ` (${parts.join(" • ")})` : ""
-            let priceText = ""
-            if (r.price != null && !Number.isNaN(Number(r.price))) {
-              priceText = ` - Precio aprox: $${Number(r.price).toLocaleString("es-AR")}`
-            } else {
-              priceText = " - Precio: solicitar cotización"
-            }
-            msg += `• *${r.name}*${desc}${priceText}\n`
-          }
-        } else {
-          msg += "\nSi quieres puedo buscarte alternativas similares si me das más detalles."
-        }
-        return msg
-      }
-      return `Sí, en el catálogo figura como *disponible*: *${prod.name}*.\n\nPuedes buscarlo por nombre o código en la app mayorista o indicarme si quieres que te sugiera complementos.`
-    }
-  }
-  const recs = recommendProductsForQueryText(text, productsList)
-  if (!recs.length) {
-    return "Con lo que me cuentas no encontré algo claro en el catálogo. Prueba explicando qué ambiente o instalación quieres armar (por ejemplo: iluminación de sala, cambio de grifería de baño, tablero para apartamento)."
-  }
-  let msg = "*Te sugiero estos productos según lo que comentas:*\n\n"
-  for (const p of recs) {
-    const parts = []
-    if (p.category) parts.push(p.category)
-    if (p.subcategory) parts.push(p.subcategory)
-    if (p.material) parts.push(p.material)
-    const desc = parts.length ? ` (${parts.join(" • ")})` : ""
-    let priceText = ""
-    if (p.price != null && !Number.isNaN(Number(p.price))) {
-      priceText = ` - Precio aprox: $${Number(p.price).toLocaleString("es-AR")}`
-    } else {
-      priceText = " - Precio: solicitar cotización"
-    }
-    msg += `• *${p.name}*${desc}${priceText}\n`
-  }
-  msg += "\nSi te interesa alguno, responde con el nombre o código y te ayudo a afinar la lista."
-  return msg
+// Shopping assistant (lib/assistant.js). Web pages keep the conversationId they get back; anything
+// else starts a new conversation, so a visitor cannot pick up someone else's.
+const WEB_CONVERSATION_RE = /^web-[a-f0-9]{24}$/
+
+// Catalog as the assistant should quote it: what can be bought, at the given client's tier
+function assistantProducts(client) {
+  const tier = tierForClient(client)
+  return sellableProducts(customerCatalog()).map(p => priceProductForTier(p, tier))
 }
 
+app.post("/api/assistant", (req, res) => {
+  const { conversationId, message, flow } = req.body || {}
+  const id = WEB_CONVERSATION_RE.test(String(conversationId || "")) ? conversationId : null
+  const conversation = loadConversation({ id, channel: "web", flow })
+  res.json(assistantTurn(conversation, message, assistantProducts(getPortalClient(req))))
+})
+
+// WhatsApp bridge: one conversation per phone number, answered as a single text
 app.post("/api/external/chat", requireExternalApiKey, (req, res) => {
   const { mensaje, telefono } = req.body || {}
   if (!mensaje) {
     return res.status(400).json({ error: "missing_mensaje" })
   }
-  const products = readData(productsFile)
-  const respuesta = buildAssistantReplyForWhatsApp(mensaje, products)
-  res.json({ respuesta_ia: respuesta })
+  const phone = String(telefono || "").replace(/\D/g, "")
+  const conversation = loadConversation({ id: phone ? `tel-${phone}` : null, channel: "whatsapp" })
+  const turn = assistantTurn(conversation, mensaje, assistantProducts(null))
+  res.json({ respuesta_ia: replyText(turn.replies), intent: turn.intent })
+})
+
+// WhatsApp Cloud API webhook. Meta calls GET once to verify the subscription and POST for every
+// event; replies go out through the sender (console only while WHATSAPP_TOKEN is empty).
+const whatsapp = createWhatsAppSender({ token: process.env.WHATSAPP_TOKEN, phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID })
+// Meta retries deliveries it thinks failed; the last ids per conversation are kept to skip them
+const SEEN_MESSAGES_LIMIT = 20
+
+app.get("/api/whatsapp/webhook", (req, res) => {
+  const challenge = verifyWebhook(req.query, process.env.WHATSAPP_VERIFY_TOKEN)
+  if (challenge == null) return res.status(403).json({ error: "forbidden" })
+  res.type("text").send(challenge)
+})
+
+app.post("/api/whatsapp/webhook", (req, res) => {
+  const secret = process.env.WHATSAPP_APP_SECRET
+  if (!secret) return res.status(500).json({ error: "whatsapp_not_configured" })
+  if (!validSignature(req.rawBody, req.get("x-hub-signature-256"), secret)) {
+    return res.status(401).json({ error: "invalid_signature" })
+  }
+  // Answer right away; Meta only waits a few seconds before retrying
+  res.json({ ok: true })
+  for (const message of inboundMessages(req.body)) {
+    handleWhatsAppMessage(message).catch(err => console.error("WhatsApp:", err.message))
+  }
 })
 
+async function handleWhatsAppMessage({ id, from, name, text }) {
+  const phone = normalizePhone(from)
+  const conversation = loadConversation({ id: `tel-${phone}`, channel: "whatsapp" })
+  const seen = conversation.state.seen || []
+  if (id && seen.includes(id)) return
+  conversation.state.seen = [...seen, id].filter(Boolean).slice(-SEEN_MESSAGES_LIMIT)
+  let order = null
+  const checkout = items => {
+    order = createOrder({ items, customer: { nombre: name, celular: phone }, entrega: "A coordinar por WhatsApp", channel: "whatsapp", user: "whatsapp" })
+    return order
+  }
+  const turn = chatTurn(conversation, text, assistantProducts(null), { checkout })
+  await whatsapp.sendText(phone, replyText(turn.replies))
+  if (order) {
+    const summary = whatsAppOrderSummary(order)
+    for (const seller of sellerNumbers()) await whatsapp.sendText(seller, summary)
+  }
+}
+
+// Amounts in both currencies at the rate the order was taken with
+function whatsAppOrderSummary(order) {
+  const currency = orderCurrency(order)
+  const money = value => formatDual(value, currency)
+  const rate = rateText(currency)
+  return [
+    `Nuevo pedido por WhatsApp N° ${order.id}`,
+    `Cliente: ${order.customer.nombre || "sin nombre"} (+${order.customer.celular})`,
+    "",
+    ...order.items.map(l => `• ${l.qty} x ${l.name}${l.subtotal == null ? " (a cotizar)" : ` - ${money(l.subtotal)}`}`),
+    "",
+    `Total: ${money(order.total)}${order.hasQuoteItems ? " + ítems a cotizar" : ""}`,
+    ...(rate ? [rate] : [])
+  ].join("\n")
+}
+
 import os from "os"
 
-// Webhook de Telegram deshabilitado temporalmente
+// Telegram bot webhook (register it with setWebhook and secret_token = TELEGRAM_WEBHOOK_SECRET).
+// Only the admin chat in TELEGRAM_CHAT_ID can run commands.
+app.post("/api/telegram/webhook", (req, res) => {
+  const secret = process.env.TELEGRAM_WEBHOOK_SECRET
+  if (!secret || !process.env.TELEGRAM_BOT_TOKEN) return res.status(500).json({ error: "telegram_not_configured" })
+  if (!validWebhookSecret(req.get("x-telegram-bot-api-secret-token"), secret)) {
+    return res.status(401).json({ error: "invalid_secret" })
+  }
+  res.json({ ok: true })
+  const message = req.body?.message
+  const chatId = message?.chat?.id
+  if (!message?.text || String(chatId) !== String(process.env.TELEGRAM_CHAT_ID)) return
+  const reply = telegramCommandReply(parseCommand(message.text))
+  if (reply) sendTelegramText(chatId, reply).catch(err => console.error("Telegram:", err.message))
+})
+
+function telegramCommandReply(command) {
+  if (!command || command.action === "help") return TELEGRAM_HELP
+  if (command.action === "accept" || command.action === "reject") {
+    const order = repo.orders.get(command.id)
+    if (!order) return `No existe el pedido N° ${command.id}.`
+    const status = command.action === "accept" ? "confirmado" : "cancelado"
+    if (!changeOrderStatus(order, status, { user: "telegram", actor: "telegram" })) return `El pedido N° ${order.id} ya estaba ${status}.`
+    return `Pedido N° ${order.id} ${status}.`
+  }
+  if (command.action === "stock") {
+    const code = command.code.toLowerCase()
+    const product = repo.products.find(p => [p.code, p.sku].some(v => v && String(v).toLowerCase() === code))
+    if (!product) return `No encuentro un producto con código o SKU ${command.code}.`
+    const before = { ...product }
+    const current = hasStockTracking(product) ? product.stockQty : 0
+    const movement = command.add
+      ? { product, type: "entrada", qty: command.qty, reason: "Entrada cargada por Telegram" }
+      : { product, type: "ajuste", qty: command.qty - current, reason: "Conteo cargado por Telegram" }
+    if (!movement.qty) return `${product.name} ya tiene ${current} unidades.`
+    recordStockMovements([movement], "telegram")
+    recordAudit({ actor: "telegram", action: "stock", entity: "product", entityId: product.id, before, after: product })
+    return `${product.name}: ${current} → ${product.stockQty} unidades (${product.available}).`
+  }
+  if (command.action === "orders") {
+    const { timeZone } = repo.config.get()
+    const date = command.date || storeDay(new Date(), timeZone)
+    const orders = repo.orders.filter(o => storeDay(o.createdAt, timeZone) === date).sort((a, b) => a.id - b.id)
+    return ordersDigest(orders, date)
+  }
+  return TELEGRAM_HELP
+}
 
 function getLocalIp() {
   const interfaces = os.networkInterfaces()
@@ -753,4 +2343,8 @@ app.listen(port, "0.0.0.0", () => {
   const ip = getLocalIp()
   console.log(`Server on http://localhost:${port}`)
   console.log(`Network access: http://${ip}:${port}`)
+  startCampaignQueue()
+  syncMedia()
+  applyDueAdjustments()
+  setInterval(applyDueAdjustments, 60 * 1000)
 })
@@ -0,0 +1,133 @@
+import { PRICE_TIERS } from "./pricing.js"
+import { isKit } from "./kits.js"
+import { isVariantParent } from "./variants.js"
+import { convert, productCurrency } from "./currency.js"
+
+// Bulk price changes ("+8% a Schneider", "-500 a la subcategoría Cables") and the per-product
+// price history. An adjustment is planned against the prices of the moment it is applied, so one
+// scheduled for next week works on next week's prices. A fixed amount is given in one currency
+// and converted to each product's own one.
+
+export const ADJUSTMENT_FILTERS = ["category", "subcategory", "brand", "material"]
+export const ADJUSTMENT_MODES = ["percent", "amount"]
+export const ROUNDING_STEPS = [0, 0.05, 0.1, 0.5, 1, 5, 10, 50, 100, 1000]
+export const ROUNDING_DIRECTIONS = ["nearest", "up", "down"]
+
+// Price stored for a tier: `price` for detal, `prices[tier]` for the others (null when the tier
+// falls back to detal, so adjusting detal already moves it)
+export function tierPrice(product, tier) {
+  const raw = tier === "detal" ? product.price : product.prices?.[tier]
+  if (raw == null || raw === "") return null
+  const n = Number(raw)
+  return Number.isNaN(n) ? null : n
+}
+
+export function setTierPrice(product, tier, value) {
+  if (tier === "detal") product.price = value
+  else product.prices = { ...(product.prices || {}), [tier]: value }
+}
+
+// [{ tier, from, to }] between two versions of a product
+export function priceChanges(before, after) {
+  return PRICE_TIERS
+    .map(tier => ({ tier, from: tierPrice(before, tier), to: tierPrice(after, tier) }))
+    .filter(c => c.from !== c.to)
+}
+
+// Adjustment from the panel form: { fields } or { error }. Without a future `effectiveAt` it is
+// applied right away. `settings` are the store currencies.
+export function adjustmentFields(body, settings, now = new Date()) {
+  const b = body || {}
+  const reason = String(b.reason || "").trim().slice(0, 200)
+  if (!reason) return { error: "reason_required" }
+  const mode = b.mode || "percent"
+  if (!ADJUSTMENT_MODES.includes(mode)) return { error: "invalid_mode" }
+  const value = Number(b.value)
+  if (!value || Number.isNaN(value) || (mode === "percent" && value <= -100)) return { error: "invalid_value" }
+  let currency
+  if (mode === "amount") {
+    currency = String(b.currency || settings.primary).trim().toUpperCase()
+    if (currency !== settings.primary && currency !== settings.secondary) return { error: "invalid_currency" }
+    // Products in the other currency need the rate to take the amount
+    if (settings.secondary && !settings.rate) return { error: "no_exchange_rate" }
+  }
+  const tiers = PRICE_TIERS.filter(t => (Array.isArray(b.tiers) ? b.tiers : PRICE_TIERS).includes(t))
+  if (!tiers.length) return { error: "tiers_required" }
+  const step = Number(b.rounding?.step ?? 0)
+  const direction = b.rounding?.direction || "nearest"
+  if (!ROUNDING_STEPS.includes(step) || !ROUNDING_DIRECTIONS.includes(direction)) return { error: "invalid_rounding" }
+  const filters = {}
+  for (const f of ADJUSTMENT_FILTERS) {
+    const v = String(b.filters?.[f] ?? "").trim()
+    if (v) filters[f] = v
+  }
+  let effectiveAt = now.toISOString()
+  if (b.effectiveAt) {
+    const d = new Date(b.effectiveAt)
+    if (Number.isNaN(d.getTime())) return { error: "invalid_date" }
+    if (d > now) effectiveAt = d.toISOString()
+  }
+  const fields = { reason, mode, value, tiers, rounding: { step, direction }, filters, effectiveAt }
+  if (currency) fields.currency = currency
+  return { fields }
+}
+
+// To a multiple of `step` (0: to the cent). Both divisions are trimmed so 3.5 / 0.1 does not
+// round up to 3.6.
+export function roundPrice(value, { step, direction }) {
+  const cents = v => Math.round(v * 100) / 100
+  if (!step) return cents(value)
+  const fn = direction === "up" ? Math.ceil : direction === "down" ? Math.floor : Math.round
+  return cents(fn(Math.round((value / step) * 1e6) / 1e6) * step)
+}
+
+export function adjustedPrice(price, { mode, value, rounding }) {
+  const raw = mode === "percent" ? price * (1 + value / 100) : price + value
+  return Math.max(0, roundPrice(raw, rounding))
+}
+
+// Filters compare without case; a variant is filed where its parent is when it has no value of its own
+function matches(product, filters, byId) {
+  const parent = product.parentId != null ? byId.get(product.parentId) : null
+  return Object.entries(filters).every(([f, v]) => {
+    const own = product[f] || parent?.[f] || ""
+    return String(own).trim().toLowerCase() === v.toLowerCase()
+  })
+}
+
+// Price lines the adjustment would change: [{ productId, name, code, currency, tier, from, to }].
+// Parents have no price of their own and a discounted kit follows its components, so both are left
+// out, as are the products an amount cannot be converted for (the pair or the rate changed after
+// the adjustment was scheduled).
+export function planAdjustment(products, fields, settings) {
+  const byId = new Map(products.map(p => [p.id, p]))
+  const items = []
+  for (const p of products) {
+    if (isVariantParent(p) || (isKit(p) && p.kitDiscount != null)) continue
+    if (!matches(p, fields.filters, byId)) continue
+    const currency = productCurrency(p, settings)
+    const value = fields.mode === "amount" ? convert(fields.value, fields.currency || settings.primary, currency, settings) : fields.value
+    if (value == null) continue
+    for (const tier of fields.tiers) {
+      const from = tierPrice(p, tier)
+      if (from == null) continue
+      const to = adjustedPrice(from, { ...fields, value })
+      if (to !== from) items.push({ productId: p.id, name: p.name || "", code: p.code || "", currency, tier, from, to })
+    }
+  }
+  return items
+}
+
+// Lines of an applied adjustment that can be put back: the ones nobody changed since. The rest
+// are reported as skipped.
+export function rollbackItems(adjustment, products) {
+  const byId = new Map(products.map(p => [p.id, p]))
+  const restore = []
+  const skipped = []
+  for (const it of adjustment.items || []) {
+    const p = byId.get(it.productId)
+    if (p && tierPrice(p, it.tier) === it.to) restore.push({ ...it, from: it.to, to: it.from })
+    else skipped.push(it)
+  }
+  return { restore, skipped }
+}
@@ -0,0 +1,35 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { adjustmentFields, planAdjustment } from "./adjustments.js"
+
+const settings = {
+  primary: "USD",
+  secondary: "VES",
+  formats: { USD: { symbol: "$", locale: "es-VE", decimals: 2 }, VES: { symbol: "Bs.", locale: "es-VE", decimals: 2 } },
+  rate: 40,
+  rateDate: "2026-10-19"
+}
+
+test("a fixed amount moves products in both currencies by the same value", () => {
+  const products = [
+    { id: 1, name: "Breaker", category: "Protección", price: 10 },
+    { id: 2, name: "Tablero", category: "Protección", price: 400, currency: "VES" }
+  ]
+  const { fields } = adjustmentFields({ reason: "Flete", mode: "amount", value: 5, tiers: ["detal"] }, settings)
+  assert.equal(fields.currency, "USD")
+  const items = planAdjustment(products, fields, settings)
+  assert.deepEqual(items.map(it => [it.productId, it.currency, it.to]), [[1, "USD", 15], [2, "VES", 600]])
+})
+
+test("an amount in the secondary currency is converted for primary-priced products", () => {
+  const products = [{ id: 1, name: "Breaker", price: 10 }, { id: 2, name: "Tablero", price: 400, currency: "VES" }]
+  const { fields } = adjustmentFields({ reason: "Flete", mode: "amount", value: 20, currency: "VES", tiers: ["detal"] }, settings)
+  assert.deepEqual(planAdjustment(products, fields, settings).map(it => it.to), [10.5, 420])
+})
+
+test("an amount needs the rate when the store has two currencies", () => {
+  const body = { reason: "Flete", mode: "amount", value: 5, tiers: ["detal"] }
+  assert.equal(adjustmentFields(body, { ...settings, rate: null }).error, "no_exchange_rate")
+  assert.equal(adjustmentFields({ ...body, currency: "EUR" }, settings).error, "invalid_currency")
+  assert.ok(adjustmentFields({ ...body, mode: "percent" }, { ...settings, rate: null }).fields)
+})
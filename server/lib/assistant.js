@@ -0,0 +1,364 @@
+import crypto from "crypto"
+import * as repo from "./repository.js"
+import { foldText, queryWords, rankProducts, stemWord } from "./search.js"
+import { formatDual, storeCurrency } from "./currency.js"
+import { ASSISTANT_CATEGORY_HINTS, ASSISTANT_FOLLOWUPS, ASSISTANT_INTENTS, ASSISTANT_TEXTS, CABLE_CALIBRE_PATTERNS, CABLE_COLORS, CART_COMMANDS, CART_TEXTS, LEAD_FLOW } from "./intents.js"
+
+// Shopping assistant shared by the storefront, the landing page and the WhatsApp bridge. Rules live
+// in intents.js; this file keeps the per-conversation state (follow-up questions, the cable being
+// discussed) and turns a message into a list of replies: text bubbles and product suggestions.
+
+export const ASSISTANT_FLOWS = ["shop", "lead"]
+
+// A conversation idle for this long starts over
+const CONVERSATION_TTL_MS = 24 * 60 * 60 * 1000
+const HISTORY_LIMIT = 20
+const CALIBRE_RES = CABLE_CALIBRE_PATTERNS.map(p => new RegExp(p, "i"))
+
+function fill(template, values) {
+  return String(template).replace(/\{(\w+)\}/g, (_, k) => values[k] ?? "")
+}
+
+function stems(words) {
+  return words.map(w => foldText(w).split(" ").map(stemWord).join(" "))
+}
+
+// True when any keyword (one word, or several in a row) appears in the message
+function mentions(message, keywords) {
+  const text = ` ${message.words.join(" ")} `
+  return stems(keywords || []).some(k => text.includes(` ${k} `))
+}
+
+function textReply(text) {
+  return { type: "text", text }
+}
+
+// Only what a chat bubble needs; prices are already those of the caller's tier
+function productsReply(products) {
+  return {
+    type: "products",
+    products: products.map(p => ({
+      id: p.id,
+      name: p.name || "",
+      category: p.category || "",
+      subcategory: p.subcategory || "",
+      material: p.material || "",
+      brand: p.brand || "",
+      img: p.img || "",
+      price: p.price ?? null,
+      priceTier: p.priceTier || null,
+      available: p.available || ""
+    }))
+  }
+}
+
+function categoryBoost(message) {
+  const categories = ASSISTANT_CATEGORY_HINTS.filter(h => mentions(message, h.keywords)).map(h => h.category)
+  return categories.length ? p => (categories.includes(p.category) ? 4 : 0) : undefined
+}
+
+function recommend(products, text, message, options = {}) {
+  return rankProducts(products, text, { limit: 4, availableOnly: true, boost: categoryBoost(message), ...options })
+}
+
+export function extractCalibre(text) {
+  for (const re of CALIBRE_RES) {
+    const m = String(text || "").match(re)
+    if (m) return m[1]
+  }
+  return ""
+}
+
+function extractColor(message) {
+  return CABLE_COLORS.find(c => message.words.includes(stemWord(c))) || ""
+}
+
+function isCable(p) {
+  return /cable/.test(foldText(`${p.name} ${p.subcategory}`))
+}
+
+// Variants say their gauge and color in variantOptions; older one-off products only in the name
+function hasCalibre(p, calibre) {
+  if (p.variantOptions?.calibre) return String(p.variantOptions.calibre).replace(/\D/g, "") === calibre
+  const name = String(p.name || "").toLowerCase()
+  return new RegExp(`(#|calibre|awg)\\s*${calibre}(?!\\d)`).test(name) || new RegExp(`(^|\\D)${calibre}\\s*mm`).test(name)
+}
+
+function hasColor(p, color) {
+  if (p.variantOptions?.color) return foldText(p.variantOptions.color) === color
+  return foldText(p.name).includes(color)
+}
+
+function cableStockNote(p) {
+  if (typeof p.stockQty !== "number" || p.stockQty <= 0) return ""
+  const min = p.minStock == null || p.minStock === "" ? 5 : Number(p.minStock)
+  if (p.stockQty <= min) return "Poco stock, ideal aprovecharlo."
+  if (p.stockQty <= min * 3) return "Stock intermedio, se mueve rápido."
+  return "Buen stock disponible para tu proyecto."
+}
+
+// Cables of the gauge and color being discussed; both are remembered for "¿y en negro?"
+function cableReply(intent, state, products, message) {
+  const cable = state.cable || {}
+  const calibre = extractCalibre(message.text) || cable.calibre || ""
+  const color = extractColor(message) || cable.color || ""
+  state.cable = { calibre, color }
+  // Asked once; without a gauge the second time every cable of the color is shown
+  if (!calibre && state.pending !== "cable-calibre") {
+    state.pending = "cable-calibre"
+    return [textReply(intent.ask)]
+  }
+  state.pending = ""
+  const sameCalibre = p => !calibre || hasCalibre(p, calibre)
+  const cables = products.filter(p => isCable(p) && (!p.available || p.available === "Disponible"))
+  const matching = cables.filter(p => sameCalibre(p) && (!color || hasColor(p, color)))
+  if (!matching.length) {
+    const others = cables.filter(sameCalibre).concat(cables.filter(p => !sameCalibre(p))).slice(0, 4)
+    const out = [textReply(intent.notFound)]
+    if (others.length) out.push(textReply(intent.alternatives), productsReply(others))
+    out.push(textReply(ASSISTANT_TEXTS.familyPitch))
+    return out
+  }
+  const best = matching[0]
+  const note = cableStockNote(best)
+  return [
+    textReply(fill(intent.found, { name: best.name }) + (note ? ` ${note}` : "")),
+    productsReply(matching.slice(0, 4)),
+    textReply(intent.foundOutro)
+  ]
+}
+
+function familyReply(intent, products, message) {
+  const families = intent.families.filter(f => mentions(message, f.keywords))
+  const terms = stems(families.flatMap(f => f.products))
+  const matches = products.filter(p => {
+    if (p.available && p.available !== "Disponible") return false
+    const words = ` ${queryWords(`${p.name} ${p.subcategory} ${p.category}`).join(" ")} `
+    return terms.some(t => words.includes(` ${t}`))
+  })
+  if (!matches.length) return [textReply(intent.empty), textReply(ASSISTANT_TEXTS.familyPitch)]
+  return [textReply(intent.intro), productsReply(matches.slice(0, 6)), textReply(ASSISTANT_TEXTS.familyPitch)]
+}
+
+function availabilityReply(products, message) {
+  const [product] = rankProducts(products, message.text, { limit: 1 })
+  if (!product) return null
+  if (!product.available || product.available === "Disponible") {
+    return [textReply(fill(ASSISTANT_TEXTS.available, { name: product.name })), productsReply([product]), textReply(ASSISTANT_TEXTS.availableOutro)]
+  }
+  const alternatives = recommend(products, `${product.category || ""} ${product.subcategory || ""}`, message)
+    .filter(p => p.id !== product.id)
+  const out = [textReply(fill(ASSISTANT_TEXTS.soldOut, { name: product.name }))]
+  if (alternatives.length) out.push(textReply(ASSISTANT_TEXTS.soldOutAlternatives), productsReply(alternatives))
+  else out.push(textReply(ASSISTANT_TEXTS.soldOutNoAlternatives))
+  return out
+}
+
+function recommendReply(products, text, message, texts = {}) {
+  const recs = recommend(products, text, message)
+  if (!recs.length) return [textReply(texts.empty || ASSISTANT_TEXTS.noMatch)]
+  return [textReply(texts.intro || ASSISTANT_TEXTS.recommendIntro), productsReply(recs), textReply(texts.outro || ASSISTANT_TEXTS.recommendOutro)]
+}
+
+// Product part of a turn: pending follow-up first, then the first rule that matches
+function productTurn(state, products, message) {
+  if (!products.length) return { intent: "sin_catalogo", replies: [textReply(ASSISTANT_TEXTS.emptyCatalog)] }
+
+  const followup = ASSISTANT_FOLLOWUPS[state.pending]
+  if (followup) {
+    const combined = `${state.lastQuery || ""} ${message.text}`
+    state.pending = ""
+    return { intent: "seguimiento", replies: recommendReply(products, combined, { ...message, words: queryWords(combined) }, followup) }
+  }
+
+  const cableIntent = ASSISTANT_INTENTS.find(i => i.action === "cable")
+  // A gauge or a color alone continues the cable conversation
+  const cableFollowup = cableIntent && (state.pending === "cable-calibre" || (state.cable && (extractCalibre(message.text) || extractColor(message))))
+
+  for (const intent of ASSISTANT_INTENTS) {
+    const matches = intent.action === "family"
+      ? intent.families.some(f => mentions(message, f.keywords))
+      : mentions(message, intent.keywords) && !mentions(message, intent.unless)
+    if (intent.action === "cable" && (matches || cableFollowup)) return { intent: intent.id, replies: cableReply(intent, state, products, message) }
+    if (!matches) continue
+    state.cable = null
+    if (intent.action === "ask") {
+      state.pending = intent.pending
+      state.lastQuery = message.text
+      return { intent: intent.id, replies: [textReply(intent.ask)] }
+    }
+    if (intent.action === "family") return { intent: intent.id, replies: familyReply(intent, products, message) }
+    if (intent.action === "availability") {
+      const replies = availabilityReply(products, message)
+      if (replies) return { intent: intent.id, replies }
+    }
+  }
+  // Talking about something else closes the cable topic
+  state.cable = null
+  return { intent: "recomendacion", replies: recommendReply(products, message.text, message) }
+}
+
+// Landing page intake: name, home or project, contact and need, then regular help
+function leadTurn(conversation, products, message) {
+  const lead = conversation.lead
+  const step = LEAD_FLOW.steps.find(s => !lead[s.field])
+  if (!step) return null
+  let value = message.text
+  if (step.options) {
+    value = Object.keys(step.options).find(k => mentions(message, step.options[k])) || step.fallback
+  }
+  lead[step.field] = value
+  const reply = textReply(fill(step.next, { ...lead, segmentLabel: LEAD_FLOW.segmentLabels[lead.segment] || lead.segment }))
+  if (step.field !== "need") return { intent: `datos_${step.field}`, replies: [reply] }
+  const turn = productTurn(conversation.state, products, message)
+  return { intent: turn.intent, replies: [reply, ...turn.replies] }
+}
+
+function newConversation(id, channel, flow) {
+  const now = new Date().toISOString()
+  return {
+    id: id || `web-${crypto.randomBytes(12).toString("hex")}`,
+    channel,
+    flow: ASSISTANT_FLOWS.includes(flow) ? flow : "shop",
+    state: { pending: "", lastQuery: "", cable: null, suggested: [] },
+    lead: {},
+    cart: [],
+    history: [],
+    createdAt: now,
+    updatedAt: now
+  }
+}
+
+// Stored conversation, or a new one when it does not exist or has been idle too long
+export function loadConversation({ id, channel = "web", flow = "shop" } = {}) {
+  const existing = id ? repo.assistantConversations.get(id) : null
+  if (existing && Date.now() - new Date(existing.updatedAt).getTime() < CONVERSATION_TTL_MS) return existing
+  return newConversation(existing ? existing.id : id, channel, flow)
+}
+
+function parseMessage(text) {
+  const message = { text: String(text || "").trim().slice(0, 1000) }
+  message.words = queryWords(message.text)
+  return message
+}
+
+function replyTurn(conversation, products, message) {
+  if (!message.text) {
+    return { intent: "saludo", replies: [textReply(conversation.flow === "lead" && !conversation.lead.need ? LEAD_FLOW.welcome : ASSISTANT_TEXTS.welcome)] }
+  }
+  return (conversation.flow === "lead" && leadTurn(conversation, products, message)) || productTurn(conversation.state, products, message)
+}
+
+// Keeps history and the last suggestions ("agregar 2" refers to them), then saves
+function finishTurn(conversation, message, turn) {
+  const now = new Date().toISOString()
+  const suggested = turn.replies.filter(r => r.type === "products").flatMap(r => r.products.map(p => p.id))
+  if (suggested.length) conversation.state.suggested = suggested
+  if (message.text) conversation.history.push({ from: "cliente", text: message.text, at: now })
+  conversation.history.push({ from: "asistente", intent: turn.intent, text: replyText(turn.replies), at: now })
+  conversation.history = conversation.history.slice(-HISTORY_LIMIT)
+  conversation.updatedAt = now
+  repo.assistantConversations.save(conversation)
+  return { conversationId: conversation.id, intent: turn.intent, replies: turn.replies }
+}
+
+// One turn: an empty message returns the greeting. Saves the conversation and returns
+// { conversationId, intent, replies }.
+export function assistantTurn(conversation, text, products) {
+  const message = parseMessage(text)
+  return finishTurn(conversation, message, replyTurn(conversation, products, message))
+}
+
+function cartCommand(message) {
+  const text = ` ${message.words.join(" ")} `
+  return Object.keys(CART_COMMANDS).find(c => stems(CART_COMMANDS[c]).some(k => text.startsWith(` ${k} `))) || null
+}
+
+// Both currencies at today's rate, as the storefront shows them
+function money(value) {
+  return formatDual(value, storeCurrency())
+}
+
+function cartView(conversation, products) {
+  const lines = conversation.cart
+    .map(item => ({ ...item, product: products.find(p => String(p.id) === String(item.id)) }))
+    .filter(l => l.product)
+  if (!lines.length) return [textReply(CART_TEXTS.empty)]
+  const priced = lines.filter(l => l.product.price != null)
+  const list = lines.map((l, i) => `${i + 1}. ${l.qty} x *${l.product.name}*${l.product.price != null ? ` - ${money(l.product.price * l.qty)}` : ""}`)
+  const out = [textReply(`${CART_TEXTS.cart}\n${list.join("\n")}`)]
+  if (priced.length) out.push(textReply(fill(CART_TEXTS.total, { total: money(priced.reduce((acc, l) => acc + l.product.price * l.qty, 0)) })))
+  if (priced.length < lines.length) out.push(textReply(CART_TEXTS.quoteItems))
+  out.push(textReply(CART_TEXTS.cartOutro))
+  return out
+}
+
+function cartReply(command, conversation, products, message, checkout) {
+  // Drop lines whose product left the catalog
+  conversation.cart = (conversation.cart || []).filter(item => products.some(p => String(p.id) === String(item.id)))
+  const [n, qty] = message.words.filter(w => /^\d+$/.test(w)).map(Number)
+  if (command === "add") {
+    const suggested = conversation.state.suggested || []
+    const position = n || (suggested.length === 1 ? 1 : 0)
+    const product = products.find(p => String(p.id) === String(suggested[position - 1]))
+    if (!product) return [textReply(fill(CART_TEXTS.unknownOption, { n: n || "" }))]
+    const units = Math.min(Math.max(qty || 1, 1), 999)
+    const line = conversation.cart.find(item => String(item.id) === String(product.id))
+    if (line) line.qty += units
+    else conversation.cart.push({ id: product.id, qty: units })
+    return [textReply(fill(CART_TEXTS.added, { qty: units, name: product.name })), ...cartView(conversation, products)]
+  }
+  if (command === "remove") {
+    const line = conversation.cart[(n || 0) - 1]
+    if (!line) return [textReply(fill(CART_TEXTS.unknownLine, { n: n || "" }))]
+    conversation.cart.splice(n - 1, 1)
+    const product = products.find(p => String(p.id) === String(line.id))
+    return [textReply(fill(CART_TEXTS.removed, { name: product.name })), ...cartView(conversation, products)]
+  }
+  if (command === "clear") {
+    conversation.cart = []
+    return [textReply(CART_TEXTS.cleared)]
+  }
+  if (command === "confirm") {
+    if (!conversation.cart.length) return [textReply(CART_TEXTS.empty)]
+    const order = checkout ? checkout(conversation.cart) : null
+    if (!order) return [textReply(CART_TEXTS.failed)]
+    conversation.cart = []
+    return [textReply(fill(CART_TEXTS.confirmed, { id: order.id }))]
+  }
+  return cartView(conversation, products)
+}
+
+// Turn of a chat channel with a cart (WhatsApp): cart commands first, everything else goes to the
+// assistant. `checkout(items)` turns the confirmed cart ([{ id, qty }]) into an order and returns
+// it, or null if nothing could be ordered.
+export function chatTurn(conversation, text, products, { checkout } = {}) {
+  const message = parseMessage(text)
+  if (!Array.isArray(conversation.cart)) conversation.cart = []
+  const command = message.text ? cartCommand(message) : null
+  if (command) {
+    return finishTurn(conversation, message, { intent: `carrito_${command}`, replies: cartReply(command, conversation, products, message, checkout) })
+  }
+  const turn = replyTurn(conversation, products, message)
+  if (turn.replies.some(r => r.type === "products")) turn.replies.push(textReply(CART_TEXTS.hint))
+  return finishTurn(conversation, message, turn)
+}
+
+function priceText(p) {
+  return p.price != null && !Number.isNaN(Number(p.price))
+    ? ` - Precio aprox: ${money(p.price)}`
+    : " - Precio: solicitar cotización"
+}
+
+// The same replies as one chat message (WhatsApp style: *bold* names, one numbered product per
+// line, numbered across the whole turn so "agregar 3" matches what the customer read)
+export function replyText(replies) {
+  let n = 0
+  return replies.map(r => {
+    if (r.type === "text") return r.text
+    return r.products.map(p => {
+      const parts = [p.category, p.subcategory, p.material].filter(Boolean)
+      return `${++n}. *${p.name}*${parts.length ? ` (${parts.join(" • ")})` : ""}${priceText(p)}`
+    }).join("\n")
+  }).join("\n\n")
+}
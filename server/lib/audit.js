@@ -0,0 +1,65 @@
+import * as repo from "./repository.js"
+
+// Append-only record of who changed what. Every entry keeps a field-level diff plus full
+// before/after snapshots, so a product can be restored to any version seen in the log.
+
+export const AUDIT_ENTITIES = ["product", "client", "config", "campaign", "template", "segment", "suppression", "catalog", "priceList", "priceAdjustment", "order", "user", "file"]
+
+// Bookkeeping fields that change on every save and would only add noise to the diff
+const IGNORED_FIELDS = ["version", "updatedAt", "updated_at"]
+const SECRET_KEY_RE = /^(pass|password|passwordHash|portalPasswordHash|tokenHash)$/i
+
+// Secrets never reach the log; they show up as "***" so the change itself is still visible
+export function redact(value) {
+  if (Array.isArray(value)) return value.map(redact)
+  if (!value || typeof value !== "object") return value
+  const out = {}
+  for (const [k, v] of Object.entries(value)) {
+    out[k] = SECRET_KEY_RE.test(k) && v != null && v !== "" ? "***" : redact(v)
+  }
+  return out
+}
+
+function same(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null)
+}
+
+// Top-level fields that differ, as [{ field, from, to }]; a missing side counts as null
+export function diffFields(before, after) {
+  const a = before || {}
+  const b = after || {}
+  const fields = [...new Set([...Object.keys(a), ...Object.keys(b)])].filter(f => !IGNORED_FIELDS.includes(f))
+  return fields
+    .filter(f => !same(a[f], b[f]))
+    .map(f => ({ field: f, from: a[f] ?? null, to: b[f] ?? null }))
+}
+
+// Stores one entry; an update that changed nothing is not recorded. Returns the entry or null.
+export function recordAudit({ actor, action, entity, entityId = null, before = null, after = null }) {
+  const safeBefore = before == null ? null : redact(before)
+  const safeAfter = after == null ? null : redact(after)
+  const changes = diffFields(safeBefore, safeAfter)
+  if (action === "update" && !changes.length) return null
+  return repo.auditLog.add({ actor: actor || "desconocido", action, entity, entityId, changes, before: safeBefore, after: safeAfter })
+}
+
+// Entries for a whole list that was replaced at once, matched by id: one per created, changed or removed item
+export function recordListAudit({ actor, entity, before, after, key = "id" }) {
+  const old = new Map((before || []).map(item => [String(item[key]), item]))
+  const entries = []
+  for (const item of after || []) {
+    const id = String(item[key])
+    const prev = old.get(id)
+    old.delete(id)
+    const entry = recordAudit({ actor, action: prev ? "update" : "create", entity, entityId: id, before: prev || null, after: item })
+    if (entry) entries.push(entry)
+  }
+  for (const [id, prev] of old) entries.push(recordAudit({ actor, action: "delete", entity, entityId: id, before: prev }))
+  return entries
+}
+
+// Product snapshot an entry can bring back: the state it left behind, or the one it removed
+export function productRevision(entry) {
+  if (!entry || entry.entity !== "product") return null
+  return entry.action === "delete" ? entry.before : entry.after
+}
@@ -0,0 +1,87 @@
+import crypto from "crypto"
+
+const SCRYPT_N = 16384
+const SCRYPT_R = 8
+const SCRYPT_P = 1
+const KEY_LEN = 64
+
+function scrypt(pwd, salt, n, r, p) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(pwd, salt, KEY_LEN, { N: n, r, p, maxmem: 64 * 1024 * 1024 }, (err, key) => {
+      if (err) reject(err)
+      else resolve(key)
+    })
+  })
+}
+
+function legacySha256(pwd) {
+  return crypto.createHash("sha256").update(String(pwd || "")).digest("hex")
+}
+
+// Stored as "scrypt$N$r$p$salt$hash" so the cost can be raised later without breaking old hashes
+export async function hashPassword(pwd) {
+  const salt = crypto.randomBytes(16).toString("hex")
+  const key = await scrypt(String(pwd || ""), salt, SCRYPT_N, SCRYPT_R, SCRYPT_P)
+  return ["scrypt", SCRYPT_N, SCRYPT_R, SCRYPT_P, salt, key.toString("hex")].join("$")
+}
+
+export async function verifyPassword(pwd, stored) {
+  const value = String(stored || "")
+  if (!value) return false
+  if (!value.startsWith("scrypt$")) {
+    // Unsalted SHA-256 from the first version of the portal
+    const expected = Buffer.from(value, "hex")
+    const actual = Buffer.from(legacySha256(pwd), "hex")
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual)
+  }
+  const [, n, r, p, salt, hash] = value.split("$")
+  const expected = Buffer.from(hash || "", "hex")
+  const actual = await scrypt(String(pwd || ""), salt, Number(n), Number(r), Number(p))
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual)
+}
+
+export function needsRehash(stored) {
+  const value = String(stored || "")
+  if (!value.startsWith("scrypt$")) return true
+  const [, n, r, p] = value.split("$")
+  return Number(n) !== SCRYPT_N || Number(r) !== SCRYPT_R || Number(p) !== SCRYPT_P
+}
+
+// Readable passwords for sharing over WhatsApp: no 0/O/1/l lookalikes
+export function generatePassword(length = 10) {
+  const alphabet = "abcdefghjkmnpqrstuvwxyzABCDEFGHJKMNPQRSTUVWXYZ23456789"
+  const bytes = crypto.randomBytes(length)
+  let out = ""
+  for (let i = 0; i < length; i++) out += alphabet[bytes[i] % alphabet.length]
+  return out
+}
+
+export function generateToken() {
+  return crypto.randomBytes(32).toString("hex")
+}
+
+// Only token hashes are persisted, so a leaked sessions file cannot be replayed
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token || "")).digest("hex")
+}
+
+// Compact signed token "payload.signature" (base64url JSON + HMAC-SHA256) for links sent by email
+export function signToken(payload, secret) {
+  const body = Buffer.from(JSON.stringify(payload)).toString("base64url")
+  const sig = crypto.createHmac("sha256", secret).update(body).digest("base64url")
+  return `${body}.${sig}`
+}
+
+// Returns the payload, or null when the token was altered or is malformed
+export function verifyToken(token, secret) {
+  const [body, sig] = String(token || "").split(".")
+  if (!body || !sig) return null
+  const expected = Buffer.from(crypto.createHmac("sha256", secret).update(body).digest("base64url"))
+  const actual = Buffer.from(sig)
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null
+  try {
+    return JSON.parse(Buffer.from(body, "base64url").toString("utf-8"))
+  } catch {
+    return null
+  }
+}
@@ -0,0 +1,377 @@
+import * as repo from "./repository.js"
+import { createMailTransport } from "./email.js"
+import { signToken, verifyToken } from "./auth.js"
+import { DEFAULT_CAMPAIGN_TEMPLATE, renderCampaignTemplate, templateVariables } from "./templates.js"
+import { inStoreCurrency, storeCurrency } from "./currency.js"
+import { resolveKits } from "./kits.js"
+
+// Email campaigns are sent by a single background worker reading the campaign_recipients queue.
+// Campaign status: sending -> completed, or paused / cancelled from the admin screen.
+
+export const CAMPAIGN_MAX_ATTEMPTS = 5
+
+const RETRY_BASE_MS = 60 * 1000
+const RETRY_MAX_MS = 60 * 60 * 1000
+const TICK_MS = 2000
+
+const transports = new Map() // campaignId -> nodemailer transport
+let timer = null
+let busy = false
+
+function positiveInt(value, fallback) {
+  const n = Math.trunc(Number(value))
+  return Number.isFinite(n) && n > 0 ? n : fallback
+}
+
+// Limits per SMTP account; the request can lower or raise the .env defaults
+export function campaignThrottle(input) {
+  const perMinute = positiveInt(process.env.CAMPAIGN_MAX_PER_MINUTE, 20)
+  const perHour = positiveInt(process.env.CAMPAIGN_MAX_PER_HOUR, 300)
+  return {
+    perMinute: positiveInt(input?.perMinute, perMinute),
+    perHour: positiveInt(input?.perHour, perHour)
+  }
+}
+
+// 1 min, 2 min, 4 min... capped at one hour
+export function retryDelayMs(attempts) {
+  return Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1))
+}
+
+// Recipient rejected by the server (mailbox does not exist, etc.): retrying will not help
+function isPermanentError(err) {
+  return err && err.responseCode >= 550 && err.responseCode <= 553
+}
+
+export function normalizeEmails(emails) {
+  const seen = new Set()
+  const out = []
+  for (const raw of emails || []) {
+    const email = String(raw || "").trim().toLowerCase()
+    if (!email.includes("@") || seen.has(email)) continue
+    seen.add(email)
+    out.push(email)
+  }
+  return out
+}
+
+// Key for signed links in emails: APP_SECRET from .env, else one generated and kept in the database
+export function signingSecret() {
+  return process.env.APP_SECRET || repo.secrets.get("signing")
+}
+
+export const UNSUBSCRIBE_REASONS = ["No me interesa", "Recibo demasiados correos", "Nunca me suscribí", "Otro"]
+
+export function unsubscribeUrl(baseUrl, email, campaignId) {
+  return `${baseUrl}/api/unsubscribe/${signToken({ e: email, c: campaignId }, signingSecret())}`
+}
+
+// { email, campaignId } from a link, or null if it was not issued by this server
+export function readUnsubscribeToken(token) {
+  const payload = verifyToken(token, signingSecret())
+  if (!payload || typeof payload.e !== "string" || !payload.e.includes("@")) return null
+  return { email: payload.e.toLowerCase(), campaignId: payload.c || null }
+}
+
+// Tracking links carry only the signed queue row id, never the address itself
+export function trackingToken(recipientId) {
+  return signToken({ r: recipientId }, signingSecret())
+}
+
+// Queue row behind a tracking token, or null if the token is forged or the row is gone
+export function readTrackingToken(token) {
+  const payload = verifyToken(token, signingSecret())
+  if (!payload || !Number.isInteger(payload.r)) return null
+  return repo.campaignRecipients.get(payload.r)
+}
+
+// Free-form QR source tag ("mostrador", "volante-feria"...), reduced to a short slug
+export function normalizeSource(value) {
+  return String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 40)
+}
+
+// Link encoded in a public campaign's QR; the source travels as ?src=
+export function campaignQrLink(campaign, baseUrl, source = "") {
+  const src = normalizeSource(source)
+  return `${campaign.baseUrl || baseUrl}/api/public/go/${encodeURIComponent(campaign.id)}${src ? `?src=${src}` : ""}`
+}
+
+// Logs the event; opens and clicks also keep the first time per address on the campaign
+export function recordCampaignEvent(campaign, { type, recipientId = null, email = null, userAgent = "", source = "" }) {
+  const event = repo.campaignEvents.add({ campaignId: campaign.id, recipientId, email, type, userAgent, source: normalizeSource(source) })
+  const map = type === "open" ? "opens" : type === "click" ? "clicks" : null
+  if (map && email) {
+    const fresh = repo.campaigns.get(campaign.id)
+    if (!fresh[map]) fresh[map] = {}
+    if (!fresh[map][email]) {
+      fresh[map][email] = event.createdAt
+      repo.campaigns.save(fresh)
+    }
+  }
+  return event
+}
+
+// Splits a recipient list against the suppression list
+export function filterSuppressed(emails) {
+  const allowed = []
+  const skipped = []
+  for (const email of emails) (repo.suppressions.has(email) ? skipped : allowed).push(email)
+  return { allowed, skipped }
+}
+
+// Template the campaign was queued with; campaigns queued before templates use the default one
+function campaignTemplate(campaign) {
+  return campaign.template || DEFAULT_CAMPAIGN_TEMPLATE
+}
+
+function clientByEmail(email) {
+  const target = String(email || "").toLowerCase()
+  return repo.clients.find(c => c.email && c.email.toLowerCase() === target)
+}
+
+// Fills a template for one recipient with their client record, the logo and the featured products
+export function renderCampaignEmail({ template, subject, email, downloadUrl, unsubscribeUrl, baseUrl }) {
+  const currency = storeCurrency()
+  const ids = template.productIds || []
+  // Featured products priced like the store: kits resolved, everything in the store currency
+  const catalog = ids.length ? resolveKits(inStoreCurrency(repo.products.all(), currency)) : []
+  const vars = templateVariables({
+    client: clientByEmail(email),
+    email,
+    subject: subject || template.subject,
+    downloadUrl,
+    unsubscribeUrl,
+    logoUrl: repo.config.get().logoUrl,
+    products: ids.map(id => catalog.find(p => p.id === Number(id))).filter(Boolean),
+    baseUrl,
+    currency
+  })
+  return renderCampaignTemplate(template, vars)
+}
+
+export function buildCampaignEmail(campaign, recipient) {
+  const { email } = recipient
+  const token = trackingToken(recipient.id)
+  const trackOpen = `${campaign.baseUrl}/api/track/open/${token}`
+  const trackLink = `${campaign.baseUrl}/api/track/link/${token}`
+  const optOut = unsubscribeUrl(campaign.baseUrl, email, campaign.id)
+  const { subject, html, text } = renderCampaignEmail({
+    template: campaignTemplate(campaign),
+    subject: campaign.subject,
+    email,
+    downloadUrl: trackLink,
+    unsubscribeUrl: optOut,
+    baseUrl: campaign.baseUrl
+  })
+  return {
+    from: campaign.smtp?.from || '"Catálogo" <no-reply@example.com>',
+    to: email,
+    subject,
+    html: `${html}\n<img src="${trackOpen}" width="1" height="1" alt="" />`,
+    text,
+    // One-click unsubscribe button in Gmail / Outlook (RFC 8058)
+    headers: {
+      "List-Unsubscribe": `<${optOut}>`,
+      "List-Unsubscribe-Post": "List-Unsubscribe=One-Click"
+    }
+  }
+}
+
+// SMTP credentials are kept only while the campaign can still send
+export function publicCampaign(campaign) {
+  const { smtp, ...rest } = campaign
+  return rest
+}
+
+// Recomputes the counters from the queue and closes the campaign once nothing is pending
+export function refreshCampaign(id) {
+  const campaign = repo.campaigns.get(id)
+  if (!campaign) return null
+  const counts = repo.campaignRecipients.counts(id)
+  campaign.sent = counts.sent
+  campaign.failed = counts.failed
+  campaign.pending = counts.pending
+  campaign.skipped = counts.skipped
+  if (campaign.status === "sending" && counts.pending === 0) {
+    campaign.status = "completed"
+    campaign.finishedAt = new Date().toISOString()
+  }
+  if (campaign.status === "completed" || campaign.status === "cancelled") {
+    campaign.smtp = null
+    transports.delete(id)
+  }
+  return repo.campaigns.save(campaign)
+}
+
+export function setCampaignStatus(id, status) {
+  const campaign = repo.campaigns.get(id)
+  if (!campaign) return null
+  campaign.status = status
+  if (status === "cancelled") campaign.finishedAt = new Date().toISOString()
+  repo.campaigns.save(campaign)
+  if (status === "sending") wakeCampaignQueue()
+  return refreshCampaign(id)
+}
+
+function transportFor(campaign) {
+  if (!transports.has(campaign.id)) transports.set(campaign.id, createMailTransport(campaign.smtp))
+  return transports.get(campaign.id)
+}
+
+// Whether the throttle allows one more attempt now
+function withinThrottle(throttle, now) {
+  const last = repo.campaignRecipients.lastAttemptAt()
+  if (last && now - Date.parse(last) < 60000 / throttle.perMinute) return false
+  const lastHour = new Date(now - 60 * 60 * 1000).toISOString()
+  return repo.campaignRecipients.attemptsSince(lastHour) < throttle.perHour
+}
+
+async function sendNext() {
+  const sending = repo.campaigns.filter(c => c.status === "sending")
+  if (!sending.length) return false
+
+  const now = Date.now()
+  const recipient = repo.campaignRecipients.nextDue(sending.map(c => c.id), new Date(now).toISOString())
+  if (!recipient) return false
+  const campaign = sending.find(c => c.id === recipient.campaignId)
+  if (repo.suppressions.has(recipient.email)) {
+    repo.campaignRecipients.markSkipped(recipient.id, "suppressed")
+    refreshCampaign(campaign.id)
+    return true
+  }
+  if (!withinThrottle(campaign.throttle || campaignThrottle(), now)) return false
+
+  const attemptAt = new Date().toISOString()
+  try {
+    await transportFor(campaign).sendMail(buildCampaignEmail(campaign, recipient))
+    repo.campaignRecipients.markSent(recipient.id, attemptAt)
+  } catch (err) {
+    const attempts = recipient.attempts + 1
+    const retry = !isPermanentError(err) && attempts < CAMPAIGN_MAX_ATTEMPTS
+    const nextAttemptAt = retry ? new Date(Date.now() + retryDelayMs(attempts)).toISOString() : null
+    console.error(`Error sending campaign ${campaign.id} to ${recipient.email} (attempt ${attempts}):`, err.message)
+    repo.campaignRecipients.markFailedAttempt(recipient.id, err.message || String(err), attemptAt, nextAttemptAt)
+  }
+  refreshCampaign(campaign.id)
+  return true
+}
+
+async function tick() {
+  if (busy) return
+  busy = true
+  try {
+    while (await sendNext()) {}
+  } catch (err) {
+    console.error("Campaign queue error:", err)
+  } finally {
+    busy = false
+  }
+}
+
+export function wakeCampaignQueue() {
+  setImmediate(tick)
+}
+
+// Started once at boot; campaigns left "sending" by a restart continue where they stopped
+export function startCampaignQueue() {
+  if (timer) return
+  timer = setInterval(tick, TICK_MS)
+  wakeCampaignQueue()
+}
+
+export const CAMPAIGN_EVENT_TYPES = ["open", "click", "scan", "register"]
+
+function uniqueEmails(events) {
+  return new Set(events.map(e => e.email).filter(Boolean))
+}
+
+// Opens/clicks recorded before the event log only exist as first-seen maps on the campaign
+function legacyEvents(campaign, logged) {
+  const out = []
+  for (const [map, type] of [["opens", "open"], ["clicks", "click"]]) {
+    const seen = uniqueEmails(logged.filter(e => e.type === type))
+    for (const [email, at] of Object.entries(campaign[map] || {})) {
+      if (!seen.has(email)) out.push({ campaignId: campaign.id, email, type, userAgent: "", createdAt: at, legacy: true })
+    }
+  }
+  return out
+}
+
+// Lowercased addresses that received, opened, clicked or registered from one campaign
+export function campaignAudience(campaign) {
+  const logged = repo.campaignEvents.list(campaign.id)
+  const events = [...legacyEvents(campaign, logged), ...logged]
+  const emailsOf = type => new Set(events.filter(e => e.type === type && e.email).map(e => e.email.toLowerCase()))
+  const clicked = emailsOf("click")
+  return {
+    received: new Set(repo.campaignRecipients.list(campaign.id).filter(r => r.status === "sent").map(r => r.email)),
+    opened: new Set([...emailsOf("open"), ...clicked]),
+    clicked,
+    registered: emailsOf("register")
+  }
+}
+
+// Totals, per-day (or per-hour) timeline and conversion funnel of one campaign
+export function campaignStats(campaign, { bucket = "day", recent = 200 } = {}) {
+  const logged = repo.campaignEvents.list(campaign.id)
+  const events = [...legacyEvents(campaign, logged), ...logged]
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))
+  const byType = type => events.filter(e => e.type === type)
+
+  const totals = {}
+  for (const type of CAMPAIGN_EVENT_TYPES) {
+    const list = byType(type)
+    // Scans carry no address, so every scan counts as its own visitor
+    totals[type] = { total: list.length, unique: type === "scan" ? list.length : uniqueEmails(list).size }
+  }
+
+  const keyLength = bucket === "hour" ? 13 : 10
+  const timeline = new Map()
+  for (const e of events) {
+    const key = String(e.createdAt).slice(0, keyLength)
+    if (!timeline.has(key)) timeline.set(key, { date: key, open: 0, click: 0, scan: 0, register: 0 })
+    timeline.get(key)[e.type]++
+  }
+
+  // A click implies the email was opened even when the client blocked the tracking image
+  const clicked = uniqueEmails(byType("click"))
+  const opened = new Set([...uniqueEmails(byType("open")), ...clicked])
+  const registered = uniqueEmails(byType("register"))
+  const funnel = campaign.type === "qr"
+    ? [
+        { step: "scanned", count: totals.scan.total },
+        { step: "registered", count: registered.size }
+      ]
+    : [
+        { step: "sent", count: campaign.sent || 0 },
+        { step: "opened", count: opened.size },
+        { step: "clicked", count: clicked.size },
+        { step: "registered", count: registered.size }
+      ]
+  const first = funnel[0].count
+  funnel.forEach(f => { f.rate = first ? Math.round((f.count / first) * 1000) / 10 : 0 })
+
+  // QR scans and signups per source tag; untagged ones are grouped under ""
+  const sources = new Map()
+  for (const e of events) {
+    if (e.type !== "scan" && e.type !== "register") continue
+    const key = e.source || ""
+    if (!sources.has(key)) sources.set(key, { source: key, scan: 0, register: 0 })
+    sources.get(key)[e.type]++
+  }
+
+  return {
+    campaignId: campaign.id,
+    type: campaign.type || "email",
+    totals,
+    funnel,
+    timeline: [...timeline.values()],
+    bySource: [...sources.values()].sort((a, b) => b.scan - a.scan),
+    recent: events.slice(-recent).reverse().map(({ recipientId, legacy, ...e }) => e)
+  }
+}
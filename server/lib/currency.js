@@ -0,0 +1,183 @@
+import * as repo from "./repository.js"
+
+// Two currencies. Each product keeps its prices in its own `currency` (the primary one when it has
+// none); customers see everything in the primary currency next to the secondary amount, converted
+// with the current exchange rate (units of the secondary per one of the primary). Settings live in
+// config: `currency` ({ primary, secondary, formats }) and `exchangeRate` ({ rate, date }).
+
+export const DEFAULT_CURRENCY = {
+  primary: "USD",
+  secondary: "VES",
+  formats: {
+    USD: { symbol: "$", locale: "es-VE", decimals: 2 },
+    VES: { symbol: "Bs.", locale: "es-VE", decimals: 2 }
+  }
+}
+
+const CODE_RE = /^[A-Z]{3}$/
+
+export function currencySettings(config) {
+  const c = config?.currency || {}
+  const primary = CODE_RE.test(c.primary) ? c.primary : DEFAULT_CURRENCY.primary
+  const secondary = c.secondary === "" ? "" : CODE_RE.test(c.secondary) ? c.secondary : DEFAULT_CURRENCY.secondary
+  const formats = {}
+  for (const code of [primary, secondary].filter(Boolean)) {
+    formats[code] = { symbol: code, locale: "es-VE", decimals: 2, ...DEFAULT_CURRENCY.formats[code], ...c.formats?.[code] }
+  }
+  const rate = Number(config?.exchangeRate?.rate)
+  return {
+    primary,
+    secondary,
+    formats,
+    rate: secondary && rate > 0 ? rate : null,
+    rateDate: config?.exchangeRate?.date || null
+  }
+}
+
+export function storeCurrency() {
+  return currencySettings(repo.config.get())
+}
+
+// Checks the `currency` settings sent from the panel: { currency } or { error }
+export function currencyConfig(body) {
+  const b = body || {}
+  const primary = String(b.primary || "").trim().toUpperCase()
+  const secondary = String(b.secondary ?? "").trim().toUpperCase()
+  if (!CODE_RE.test(primary) || (secondary && (!CODE_RE.test(secondary) || secondary === primary))) {
+    return { error: "invalid_currency" }
+  }
+  const formats = {}
+  for (const code of [primary, secondary].filter(Boolean)) {
+    const f = b.formats?.[code] || {}
+    const locale = String(f.locale || "es-VE").trim()
+    try {
+      new Intl.NumberFormat(locale)
+    } catch {
+      return { error: "invalid_locale" }
+    }
+    const decimals = Math.min(Math.max(Math.trunc(Number(f.decimals ?? 2)) || 0, 0), 4)
+    formats[code] = { symbol: String(f.symbol || DEFAULT_CURRENCY.formats[code]?.symbol || code).trim().slice(0, 6), locale, decimals }
+  }
+  return { currency: { primary, secondary, formats } }
+}
+
+function round(value, decimals = 2) {
+  const f = 10 ** decimals
+  return Math.round(value * f) / f
+}
+
+// Amount rounded to the decimals of its currency, for totals built from several prices
+export function roundMoney(amount, code, settings) {
+  return round(Number(amount), settings.formats?.[code]?.decimals ?? 2)
+}
+
+// Amount in `to`, rounded to that currency's decimals; null when it cannot be converted (no rate yet)
+export function convert(amount, from, to, settings) {
+  if (amount == null || amount === "") return null
+  const n = Number(amount)
+  if (Number.isNaN(n)) return null
+  if (from === to) return n
+  if (!settings.rate) return null
+  const decimals = settings.formats?.[to]?.decimals ?? 2
+  if (from === settings.primary && to === settings.secondary) return round(n * settings.rate, decimals)
+  if (from === settings.secondary && to === settings.primary) return round(n / settings.rate, decimals)
+  return null
+}
+
+// Currency a product's prices are in
+export function productCurrency(product, settings) {
+  return product.currency && product.currency === settings.secondary ? settings.secondary : settings.primary
+}
+
+// What a change of the currency pair does to the catalog: { updates: [{ product, currency }] } or
+// { error, code, count }. Prices are never converted here, so every product must stay in a code the
+// new pair still has; the ones whose stored `currency` would be read differently get it rewritten
+// (an unmarked USD product stays USD when USD becomes the secondary).
+export function currencyPairChange(products, before, after) {
+  const updates = []
+  const lost = new Map()
+  for (const p of products) {
+    const code = productCurrency(p, before)
+    if (code !== after.primary && code !== after.secondary) {
+      lost.set(code, (lost.get(code) || 0) + 1)
+      continue
+    }
+    const stored = code === after.primary ? undefined : code
+    if ((p.currency || undefined) !== stored) updates.push({ product: p, currency: stored })
+  }
+  if (lost.size) {
+    const [code, count] = [...lost][0]
+    return { error: "currency_in_use", code, count }
+  }
+  return { updates }
+}
+
+// Validates the `currency` of a product about to be saved: { fields } or { error }
+export function currencyFields(fields, settings) {
+  if (!("currency" in fields)) return { fields }
+  const out = { ...fields }
+  const code = String(out.currency || "").trim().toUpperCase()
+  if (!code || code === settings.primary) out.currency = undefined
+  else if (code === settings.secondary) out.currency = code
+  else return { error: "invalid_currency" }
+  return { fields: out }
+}
+
+// Catalog with every price in the primary currency, for pricing kits, carts and orders in one
+// currency. Products priced in the secondary keep the original as `basePrice` / `baseCurrency`.
+export function inStoreCurrency(products, settings) {
+  return products.map(p => {
+    const from = productCurrency(p, settings)
+    if (from === settings.primary) return p
+    const to = v => convert(v, from, settings.primary, settings)
+    const out = { ...p, price: to(p.price), baseCurrency: from, basePrice: p.price }
+    if (p.prices) out.prices = Object.fromEntries(Object.entries(p.prices).map(([t, v]) => [t, to(v)]))
+    if (Array.isArray(p.priceBreaks)) out.priceBreaks = p.priceBreaks.map(b => ({ ...b, price: to(b.price) }))
+    return out
+  })
+}
+
+// { USD: 12.5, VES: 456.25 } for an amount in the primary currency
+export function dualAmounts(amount, settings) {
+  if (amount == null) return null
+  const out = { [settings.primary]: Number(amount) }
+  const other = settings.secondary ? convert(amount, settings.primary, settings.secondary, settings) : null
+  if (other != null) out[settings.secondary] = other
+  return out
+}
+
+// Public product with `currency` and `amounts` next to its price (and its variants, on a card)
+export function withAmounts(product, settings) {
+  const out = { ...product, currency: settings.primary, amounts: dualAmounts(product.price, settings) }
+  if (Array.isArray(product.variants)) out.variants = product.variants.map(v => withAmounts(v, settings))
+  return out
+}
+
+export function formatMoney(amount, code, settings) {
+  const f = settings.formats[code] || { symbol: code, locale: "es-VE", decimals: 2 }
+  const n = Number(amount)
+  const decimals = Number.isInteger(n) ? 0 : f.decimals
+  // "Bs. 12" and "USD 12" take a space, "$12" does not
+  const space = /[\p{L}.]$/u.test(f.symbol) ? " " : ""
+  return `${f.symbol}${space}${n.toLocaleString(f.locale, { minimumFractionDigits: decimals, maximumFractionDigits: f.decimals })}`
+}
+
+// "$12,50 (Bs. 456,25)" for an amount in the primary currency; only the first without a rate
+export function formatDual(amount, settings) {
+  const main = formatMoney(amount, settings.primary, settings)
+  const other = settings.secondary ? convert(amount, settings.primary, settings.secondary, settings) : null
+  return other == null ? main : `${main} (${formatMoney(other, settings.secondary, settings)})`
+}
+
+// Settings with the rate an order was saved with, to show its amounts as they were quoted
+export function orderCurrency(order, settings = storeCurrency()) {
+  return { ...settings, rate: order.exchangeRate?.rate || null, rateDate: order.exchangeRate?.date || null }
+}
+
+// "Tasa: 1 USD = 36,50 VES (19/10/2026)"; empty without a rate
+export function rateText(settings) {
+  if (!settings.rate) return ""
+  const rate = settings.rate.toLocaleString(settings.formats[settings.secondary].locale, { maximumFractionDigits: 4 })
+  const date = settings.rateDate ? ` (${settings.rateDate.split("-").reverse().join("/")})` : ""
+  return `Tasa: 1 ${settings.primary} = ${rate} ${settings.secondary}${date}`
+}
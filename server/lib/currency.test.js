@@ -0,0 +1,32 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { convert, currencyPairChange, currencySettings, roundMoney } from "./currency.js"
+
+const usdVes = currencySettings({ currency: { primary: "USD", secondary: "VES" } })
+const products = [{ id: 1, price: 10 }, { id: 2, price: 400, currency: "VES" }]
+
+test("dropping a currency that still prices products is refused", () => {
+  const eur = currencySettings({ currency: { primary: "USD", secondary: "EUR" } })
+  assert.deepEqual(currencyPairChange(products, usdVes, eur), { error: "currency_in_use", code: "VES", count: 1 })
+})
+
+test("swapping the pair keeps every product in its own currency", () => {
+  const vesUsd = currencySettings({ currency: { primary: "VES", secondary: "USD" } })
+  const { updates } = currencyPairChange(products, usdVes, vesUsd)
+  assert.deepEqual(updates.map(u => [u.product.id, u.currency]), [[1, "USD"], [2, undefined]])
+})
+
+test("conversions round to the target currency's decimals", () => {
+  const settings = currencySettings({
+    currency: { primary: "USD", secondary: "COP", formats: { COP: { symbol: "$", locale: "es-CO", decimals: 0 } } },
+    exchangeRate: { rate: 4123.456 }
+  })
+  assert.equal(convert(3.25, "USD", "COP", settings), 13401)
+  assert.equal(convert(13401, "COP", "USD", settings), 3.25)
+})
+
+test("order totals drop float noise at the currency's decimals", () => {
+  assert.equal(roundMoney(0.1 * 3, "USD", usdVes), 0.3)
+  const cop = currencySettings({ currency: { primary: "COP", secondary: "", formats: { COP: { decimals: 0 } } } })
+  assert.equal(roundMoney(1500.4 + 0.2, "COP", cop), 1501)
+})
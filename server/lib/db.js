@@ -8,13 +8,21 @@ const __dirname = path.dirname(__filename)
 
 let db
 
-export function initDb() {
-  const dataDir = path.join(__dirname, "..", "..", "data")
-  const dbPath = path.join(dataDir, "app.db")
-  if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true })
-  db = new Database(dbPath)
-  db.pragma("journal_mode = WAL")
-  db.exec(`
+// Collections stored as one JSON document per row; `id` mirrors the document key
+const DOCUMENT_TABLES = [
+  ["products", "INTEGER"],
+  ["clients", "INTEGER"],
+  ["campaigns", "TEXT"],
+  ["catalogs", "INTEGER"],
+  ["orders", "INTEGER"],
+  ["stock_movements", "INTEGER"],
+  ["portal_sessions", "TEXT"]
+]
+
+// Applied in order and tracked with PRAGMA user_version; never edit a released step, append a new one
+const MIGRATIONS = [
+  // 1: agenda schema from the appointments flow
+  `
     CREATE TABLE IF NOT EXISTS clients (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       name TEXT NOT NULL,
@@ -39,7 +47,142 @@ export function initDb() {
       FOREIGN KEY(client_id) REFERENCES clients(id)
     );
     CREATE INDEX IF NOT EXISTS idx_appointments_datetime ON appointments(datetime);
-  `)
+  `,
+  // 2: store collections; the agenda leads table moves aside so "clients" holds the store's clients
+  `
+    ALTER TABLE clients RENAME TO agenda_clients;
+    ${DOCUMENT_TABLES.map(([name, type]) => `CREATE TABLE ${name} (id ${type} PRIMARY KEY, data TEXT NOT NULL);`).join("\n    ")}
+    CREATE TABLE config (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+  `,
+  // 3: campaign send queue, one row per recipient so sending can resume after a restart
+  `
+    CREATE TABLE campaign_recipients (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      campaign_id TEXT NOT NULL,
+      email TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      error TEXT,
+      next_attempt_at TEXT,
+      last_attempt_at TEXT,
+      sent_at TEXT,
+      UNIQUE(campaign_id, email)
+    );
+    CREATE INDEX idx_campaign_recipients_due ON campaign_recipients(status, next_attempt_at);
+    CREATE INDEX idx_campaign_recipients_attempt ON campaign_recipients(last_attempt_at);
+  `,
+  // 4: editable campaign email templates
+  `
+    CREATE TABLE campaign_templates (id INTEGER PRIMARY KEY, data TEXT NOT NULL);
+  `,
+  // 5: addresses that must never receive campaigns, and server-side secrets (link signing)
+  `
+    CREATE TABLE suppressions (
+      email TEXT PRIMARY KEY,
+      reason TEXT NOT NULL DEFAULT '',
+      source TEXT NOT NULL DEFAULT '',
+      campaign_id TEXT,
+      created_at TEXT NOT NULL
+    );
+    CREATE TABLE secrets (name TEXT PRIMARY KEY, value TEXT NOT NULL);
+  `,
+  // 6: every open, click, QR scan and download-form registration of a campaign
+  `
+    CREATE TABLE campaign_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      campaign_id TEXT NOT NULL,
+      recipient_id INTEGER,
+      email TEXT,
+      type TEXT NOT NULL,
+      user_agent TEXT,
+      created_at TEXT NOT NULL
+    );
+    CREATE INDEX idx_campaign_events_campaign ON campaign_events(campaign_id, created_at);
+  `,
+  // 7: where a QR scan came from (a counter, a given flyer...)
+  `
+    ALTER TABLE campaign_events ADD COLUMN source TEXT;
+  `,
+  // 8: saved campaign audiences (filters over the clients)
+  `
+    CREATE TABLE segments (id INTEGER PRIMARY KEY, data TEXT NOT NULL);
+  `,
+  // 9: panel users with roles, and their login sessions (only token hashes are stored)
+  `
+    CREATE TABLE admin_users (id INTEGER PRIMARY KEY, data TEXT NOT NULL);
+    CREATE TABLE admin_sessions (id TEXT PRIMARY KEY, data TEXT NOT NULL);
+  `,
+  // 10: append-only audit trail of changes made from the panel and the public forms
+  `
+    CREATE TABLE audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      actor TEXT NOT NULL,
+      action TEXT NOT NULL,
+      entity TEXT NOT NULL,
+      entity_id TEXT,
+      changes TEXT NOT NULL,
+      before TEXT,
+      after TEXT,
+      created_at TEXT NOT NULL
+    );
+    CREATE INDEX idx_audit_log_entity ON audit_log (entity, entity_id);
+    CREATE INDEX idx_audit_log_created ON audit_log (created_at);
+  `,
+  // 11: shopping assistant conversations (web visitors and WhatsApp numbers)
+  `
+    CREATE TABLE assistant_conversations (id TEXT PRIMARY KEY, data TEXT NOT NULL);
+  `,
+  // 12: checkout baskets for the co-purchase suggestions, seeded from the orders taken so far
+  `
+    CREATE TABLE baskets (id INTEGER PRIMARY KEY, data TEXT NOT NULL);
+    INSERT INTO baskets (id, data)
+    SELECT o.id, json_object(
+      'id', o.id,
+      'orderId', o.id,
+      'channel', COALESCE(json_extract(o.data, '$.channel'), 'web'),
+      'productIds', (SELECT json_group_array(json_extract(i.value, '$.productId')) FROM json_each(o.data, '$.items') i),
+      'createdAt', json_extract(o.data, '$.createdAt')
+    )
+    FROM orders o;
+  `,
+  // 13: price lists generated from the catalog, one row per published version
+  `
+    CREATE TABLE price_lists (id INTEGER PRIMARY KEY, data TEXT NOT NULL);
+  `,
+  // 14: bulk price adjustments (scheduled, applied, rolled back) and the price history of each product
+  `
+    CREATE TABLE price_adjustments (id INTEGER PRIMARY KEY, data TEXT NOT NULL);
+    CREATE TABLE price_history (id INTEGER PRIMARY KEY, data TEXT NOT NULL);
+  `,
+  // 15: exchange rate of each day (secondary currency per unit of the primary)
+  `
+    CREATE TABLE exchange_rates (id INTEGER PRIMARY KEY, data TEXT NOT NULL);
+  `,
+  // 16: media index of public/uploads (content hash, uploader)
+  `
+    CREATE TABLE media (id INTEGER PRIMARY KEY, data TEXT NOT NULL);
+  `
+]
+
+export function migrate(database) {
+  const current = database.pragma("user_version", { simple: true })
+  for (let v = current; v < MIGRATIONS.length; v++) {
+    database.transaction(() => {
+      database.exec(MIGRATIONS[v])
+      database.pragma(`user_version = ${v + 1}`)
+    })()
+  }
+}
+
+export function initDb(file) {
+  const dataDir = path.join(__dirname, "..", "..", "data")
+  const dbPath = file || process.env.DB_PATH || path.join(dataDir, "app.db")
+  if (!fs.existsSync(path.dirname(dbPath))) fs.mkdirSync(path.dirname(dbPath), { recursive: true })
+  db = new Database(dbPath)
+  db.pragma("journal_mode = WAL")
+  db.pragma("foreign_keys = ON")
+  migrate(db)
+  return db
 }
 
 export function getDb() {
@@ -53,7 +196,7 @@ export function isSlotTaken(iso) {
 
 export function insertLead({ name, email, phone, service, datetime, materials }) {
   const now = new Date().toISOString()
-  const clientStmt = db.prepare("INSERT INTO clients (name, email, phone, service, created_at) VALUES (?, ?, ?, ?, ?)")
+  const clientStmt = db.prepare("INSERT INTO agenda_clients (name, email, phone, service, created_at) VALUES (?, ?, ?, ?, ?)")
   const clientId = clientStmt.run(name, email, phone, service, now).lastInsertRowid
   const apptStmt = db.prepare("INSERT INTO appointments (client_id, datetime, status) VALUES (?, ?, ?)")
   const appointmentId = apptStmt.run(clientId, datetime, "pending").lastInsertRowid
@@ -91,7 +234,7 @@ export function listRequests() {
     SELECT a.id as appointment_id, c.id as client_id, c.name, c.email, c.phone, c.service, a.datetime, a.status,
            m.guide, m.rates, m.portfolio
     FROM appointments a
-    JOIN clients c ON a.client_id = c.id
+    JOIN agenda_clients c ON a.client_id = c.id
     LEFT JOIN materials m ON m.client_id = c.id
     ORDER BY a.datetime DESC
   `).all()
@@ -106,7 +249,7 @@ export function generateClientsCsv() {
   const rows = db.prepare(`
     SELECT c.name, c.email, c.phone, c.service, a.datetime, a.status, m.guide, m.rates, m.portfolio
     FROM appointments a
-    JOIN clients c ON a.client_id = c.id
+    JOIN agenda_clients c ON a.client_id = c.id
     LEFT JOIN materials m ON m.client_id = c.id
     ORDER BY a.datetime DESC
   `).all()
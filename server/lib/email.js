@@ -1,4 +1,5 @@
 import nodemailer from "nodemailer"
+import { escapeHtml } from "./templates.js"
 
 export async function sendConfirmation({ to, name, datetime, service }) {
   const host = process.env.SMTP_HOST || ""
@@ -23,3 +24,65 @@ export async function sendConfirmation({ to, name, datetime, service }) {
     text
   })
 }
+
+// Without an SMTP host the transport only logs, same as the campaign simulation mode
+export function createMailTransport(smtpConfig) {
+  if (smtpConfig && smtpConfig.host) {
+    return nodemailer.createTransport({
+      host: smtpConfig.host,
+      port: smtpConfig.port || 587,
+      secure: smtpConfig.secure || false,
+      auth: {
+        user: smtpConfig.user,
+        pass: smtpConfig.pass
+      },
+      tls: {
+        rejectUnauthorized: false
+      }
+    })
+  }
+  return {
+    simulated: true,
+    verify: async () => true,
+    sendMail: async (opts) => {
+      console.log(`[SIMULATION] Email to ${opts.to}: Subject: ${opts.subject}`)
+      return { messageId: "simulated-" + Date.now() }
+    }
+  }
+}
+
+export function buildPortalCredentialsText({ nombre, email, password, portalUrl }) {
+  return [
+    `Hola ${nombre || ""}, tu acceso al portal de clientes de EMBAIR fue aprobado.`,
+    "",
+    `Usuario: ${email}`,
+    `Clave: ${password}`,
+    "",
+    `Ingresa en: ${portalUrl}`
+  ].join("\n")
+}
+
+export async function sendPortalCredentials(transporter, { to, nombre, password, portalUrl, from }) {
+  const text = buildPortalCredentialsText({ nombre, email: to, password, portalUrl })
+  // Name and email come from the public register form
+  const html = `
+    <div style="font-family: sans-serif; padding: 20px; border: 1px solid #eee; border-radius: 8px;">
+      <h2>Acceso al portal de clientes</h2>
+      <p>Hola ${escapeHtml(nombre)},</p>
+      <p>Tu solicitud de acceso al portal de clientes de EMBAIR fue aprobada.</p>
+      <p><strong>Usuario:</strong> ${escapeHtml(to)}<br><strong>Clave:</strong> ${escapeHtml(password)}</p>
+      <p style="margin: 20px 0;">
+        <a href="${escapeHtml(portalUrl)}" style="background: #4f46e5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold;">
+          Entrar al portal
+        </a>
+      </p>
+    </div>
+  `
+  await transporter.sendMail({
+    from: from || '"Catálogo" <no-reply@example.com>',
+    to,
+    subject: "Tu acceso al portal de clientes EMBAIR",
+    text,
+    html
+  })
+}
@@ -0,0 +1,45 @@
+import { escapeHtml } from "./templates.js"
+import { qrSvg } from "./qr.js"
+
+// Printable A4 flyer of a public (QR) campaign: logo, subject and the campaign QR.
+// The browser's "print to PDF" is the PDF export; the toolbar is hidden when printing.
+
+export function flyerPage({ subject, logoUrl = "", link }) {
+  const logo = logoUrl ? `<img src="${escapeHtml(logoUrl)}" alt="Logo" class="logo" />` : ""
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(subject)}</title>
+  <style>
+    @page { size: A4; margin: 15mm; }
+    * { box-sizing: border-box; }
+    body { margin: 0; font-family: sans-serif; color: #0f172a; background: #f1f5f9; }
+    .toolbar { text-align: center; padding: 12px; }
+    .toolbar button { background: #4f46e5; color: #fff; border: 0; border-radius: 6px; padding: 8px 18px; font-size: 14px; cursor: pointer; }
+    .sheet { width: 210mm; min-height: 297mm; margin: 0 auto 24px; padding: 20mm; background: #fff; display: flex; flex-direction: column; align-items: center; text-align: center; }
+    .logo { max-height: 35mm; max-width: 120mm; margin-bottom: 12mm; }
+    h1 { font-size: 30pt; margin: 0 0 14mm; line-height: 1.2; }
+    .qr svg { width: 110mm; height: 110mm; }
+    .cta { font-size: 16pt; margin: 10mm 0 4mm; }
+    .link { font-size: 10pt; color: #64748b; word-break: break-all; }
+    @media print {
+      body { background: #fff; }
+      .toolbar { display: none; }
+      .sheet { width: auto; min-height: 0; margin: 0; padding: 0; }
+    }
+  </style>
+</head>
+<body>
+  <div class="toolbar"><button type="button" onclick="window.print()">Imprimir / Guardar PDF</button></div>
+  <div class="sheet">
+    ${logo}
+    <h1>${escapeHtml(subject)}</h1>
+    <div class="qr">${qrSvg(link, { margin: 2 })}</div>
+    <p class="cta">Escaneá el código para descargar la lista de precios</p>
+    <p class="link">${escapeHtml(link)}</p>
+  </div>
+</body>
+</html>`
+}
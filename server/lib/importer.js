@@ -0,0 +1,461 @@
+import { readXlsxRows } from "./xlsx.js"
+import { hasStockTracking } from "./inventory.js"
+import { VARIANT_AXES, cleanOptions, isVariantParent, variantName } from "./variants.js"
+
+// Catalog import: parses CSV / JSON / XLSX price lists and plans an upsert against the current catalog
+
+const HEADER_FIELDS = {
+  nombre: "name",
+  name: "name",
+  producto: "name",
+  codigo: "code",
+  code: "code",
+  marca: "brand",
+  brand: "brand",
+  sku: "sku",
+  categoria: "category",
+  category: "category",
+  subcategoria: "subcategory",
+  subcategory: "subcategory",
+  material: "material",
+  precio: "price",
+  price: "price",
+  preciodetal: "price",
+  disponibilidad: "available",
+  available: "available",
+  empaque: "packInfo",
+  packinfo: "packInfo",
+  precioinstalador: "priceInstalador",
+  preciomayorista: "priceMayorista",
+  stock: "stockQty",
+  stockqty: "stockQty",
+  stockminimo: "minStock",
+  minstock: "minStock",
+  descripcion: "desc",
+  desc: "desc",
+  productopadre: "parentKey",
+  padre: "parentKey",
+  parent: "parentKey",
+  parentkey: "parentKey",
+  grupo: "parentKey",
+  calibre: "calibre",
+  color: "color",
+  presentacion: "presentacion"
+}
+
+// Column order of the "Exportar Excel" file, used when the sheet has no header row
+const POSITIONAL_FIELDS = ["name", "code", "brand", "sku", "category", "subcategory", "material", "price", "available", "packInfo", "priceInstalador", "priceMayorista", "stockQty", "minStock", "parentKey", ...VARIANT_AXES]
+
+const TEXT_FIELDS = ["name", "code", "brand", "sku", "category", "subcategory", "material", "packInfo", "desc"]
+
+export function normalizeName(s) {
+  return String(s || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+}
+
+function headerKey(s) {
+  return normalizeName(s).replace(/ /g, "")
+}
+
+function detectDelimiter(text) {
+  // Count separators on the first line, ignoring quoted sections
+  let semi = 0
+  let comma = 0
+  let quoted = false
+  for (const ch of text) {
+    if (ch === '"') quoted = !quoted
+    else if (!quoted && ch === "\n") break
+    else if (!quoted && ch === ";") semi++
+    else if (!quoted && ch === ",") comma++
+  }
+  return comma > semi ? "," : ";"
+}
+
+export function parseCsv(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "")
+  const delimiter = detectDelimiter(src)
+  const rows = []
+  let row = []
+  let field = ""
+  let quoted = false
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i]
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (ch === '"') {
+        quoted = false
+      } else {
+        field += ch
+      }
+    } else if (ch === '"') {
+      quoted = true
+    } else if (ch === delimiter) {
+      row.push(field)
+      field = ""
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ""
+    } else {
+      field += ch
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field)
+    rows.push(row)
+  }
+  return rows.filter(r => r.some(c => String(c).trim() !== ""))
+}
+
+function rowsToRecords(rows) {
+  if (!rows.length) return []
+  const header = rows[0].map(c => HEADER_FIELDS[headerKey(c)] || null)
+  const hasHeader = header.includes("name") || header.includes("code") || header.includes("sku")
+  const fields = hasHeader ? header : POSITIONAL_FIELDS
+  const body = hasHeader ? rows.slice(1) : rows
+  const offset = hasHeader ? 2 : 1
+  return body.map((cols, i) => {
+    const raw = {}
+    fields.forEach((f, idx) => {
+      if (f && cols[idx] != null && String(cols[idx]).trim() !== "") raw[f] = String(cols[idx]).trim()
+    })
+    return { row: i + offset, raw }
+  })
+}
+
+function jsonToRecords(data) {
+  const list = Array.isArray(data) ? data : Array.isArray(data && data.products) ? data.products : null
+  if (!list) throw new Error("invalid_json")
+  return list.map((item, i) => {
+    const raw = {}
+    // JSON uses the product field names; the legacy "stock" percentage is not a unit count
+    for (const f of [...TEXT_FIELDS, "price", "available", "stockQty", "minStock"]) {
+      if (item && item[f] != null && item[f] !== "") raw[f] = item[f]
+    }
+    if (item && item.price === null) raw.price = "Cotizar"
+    if (item && item.parentKey) raw.parentKey = item.parentKey
+    Object.assign(raw, cleanOptions(item && item.variantOptions))
+    if (item && item.prices) {
+      if (item.prices.instalador != null) raw.priceInstalador = item.prices.instalador
+      if (item.prices.mayorista != null) raw.priceMayorista = item.prices.mayorista
+    }
+    return { row: i + 1, raw }
+  })
+}
+
+export function detectFormat(buf, filename) {
+  const name = String(filename || "").toLowerCase()
+  if (name.endsWith(".xlsx") || (buf[0] === 0x50 && buf[1] === 0x4b)) return "xlsx"
+  if (name.endsWith(".json")) return "json"
+  const head = buf.subarray(0, 64).toString("utf-8").replace(/^\uFEFF/, "").trimStart()
+  if (head.startsWith("[") || head.startsWith("{")) return "json"
+  return "csv"
+}
+
+export function parseImportFile(buf, format) {
+  if (format === "xlsx") return rowsToRecords(readXlsxRows(buf))
+  const text = buf.toString("utf-8").replace(/^\uFEFF/, "")
+  if (format === "json") return jsonToRecords(JSON.parse(text))
+  return rowsToRecords(parseCsv(text))
+}
+
+// Accepts "1200", "1.200", "1.200,50", "1,200.50", "$ 1200"
+function parseNumber(v) {
+  if (typeof v === "number") return Number.isFinite(v) ? v : NaN
+  let s = String(v).replace(/[$\s]/g, "")
+  if (!s) return NaN
+  const lastDot = s.lastIndexOf(".")
+  const lastComma = s.lastIndexOf(",")
+  if (lastDot >= 0 && lastComma >= 0) {
+    const dec = lastDot > lastComma ? "." : ","
+    const thousands = dec === "." ? "," : "."
+    s = s.split(thousands).join("").replace(dec, ".")
+  } else if (lastComma >= 0) {
+    s = s.replace(",", ".")
+  } else if (/^\d{1,3}(\.\d{3})+$/.test(s)) {
+    s = s.replace(/\./g, "")
+  }
+  return s === "" ? NaN : Number(s)
+}
+
+function parseAvailable(v) {
+  const s = normalizeName(v)
+  if (["disponible", "si", "s", "yes", "true", "1"].includes(s)) return "Disponible"
+  if (["agotado", "no", "n", "false", "0", "sin stock"].includes(s)) return "Agotado"
+  return null
+}
+
+function normalizeRecord({ row, raw }) {
+  const fields = {}
+  const errors = []
+  for (const f of TEXT_FIELDS) {
+    if (raw[f] != null) fields[f] = String(raw[f]).trim()
+  }
+  if (raw.price != null) {
+    if (normalizeName(raw.price) === "cotizar") fields.price = null
+    else {
+      const n = parseNumber(raw.price)
+      if (Number.isNaN(n) || n < 0) errors.push("precio inválido")
+      else fields.price = n
+    }
+  }
+  for (const [f, label] of [["priceInstalador", "precio instalador"], ["priceMayorista", "precio mayorista"]]) {
+    if (raw[f] == null) continue
+    const n = parseNumber(raw[f])
+    if (Number.isNaN(n) || n < 0) errors.push(`${label} inválido`)
+    else fields[f] = n
+  }
+  for (const [f, label] of [["stockQty", "stock"], ["minStock", "stock mínimo"]]) {
+    if (raw[f] == null) continue
+    const n = parseNumber(raw[f])
+    if (!Number.isInteger(n) || n < 0) errors.push(`${label} inválido`)
+    else fields[f] = n
+  }
+  if (raw.available != null) {
+    const a = parseAvailable(raw.available)
+    if (!a) errors.push("disponibilidad inválida")
+    else fields.available = a
+  }
+  // Rows with the same parent key become variants of one product
+  const options = cleanOptions(raw)
+  if (raw.parentKey != null) fields.parentKey = String(raw.parentKey).trim()
+  if (Object.keys(options).length) fields.variantOptions = options
+  if (fields.variantOptions && !fields.parentKey) errors.push("calibre/color/presentación sin producto padre")
+  if (fields.parentKey && !fields.variantOptions) errors.push("variante sin calibre, color ni presentación")
+  return { row, fields, errors }
+}
+
+function buildIndex(products) {
+  const byCode = new Map()
+  const bySku = new Map()
+  const byName = new Map()
+  const parents = new Map()
+  const variants = new Map()
+  for (const p of products) {
+    if (p.parentId != null) variants.set(p.parentId, [...(variants.get(p.parentId) || []), p])
+    if (isVariantParent(p)) {
+      // A parent is found by its import key or, failing that, by its name
+      parents.set(p.variantKey || normalizeName(p.name), p)
+      continue
+    }
+    if (p.code) byCode.set(String(p.code).trim().toLowerCase(), p)
+    if (p.sku) bySku.set(String(p.sku).trim().toLowerCase(), p)
+    if (p.name) byName.set(normalizeName(p.name), p)
+  }
+  for (const p of products) {
+    if (isVariantParent(p) && !parents.has(normalizeName(p.name))) parents.set(normalizeName(p.name), p)
+  }
+  return { byCode, bySku, byName, parents, variants, byId: new Map(products.map(p => [p.id, p])) }
+}
+
+// Variant of an existing parent that already has these options, compared without case
+function existingVariant(index, parentKey, options) {
+  const parent = index.parents.get(parentKey)
+  if (!parent) return null
+  const key = optionsKey(options)
+  return (index.variants.get(parent.id) || []).find(v => optionsKey(v.variantOptions) === key) || null
+}
+
+function findMatch(index, fields) {
+  if (fields.code) {
+    const p = index.byCode.get(fields.code.toLowerCase())
+    if (p) return { product: p, by: "code" }
+  }
+  if (fields.sku) {
+    const p = index.bySku.get(fields.sku.toLowerCase())
+    if (p) return { product: p, by: "sku" }
+  }
+  if (fields.name) {
+    const p = index.byName.get(normalizeName(fields.name))
+    if (p) return { product: p, by: "name" }
+  }
+  return null
+}
+
+function dedupeKey(fields, match) {
+  if (match) return `id:${match.product.id}`
+  if (fields.code) return `code:${fields.code.toLowerCase()}`
+  if (fields.sku) return `sku:${fields.sku.toLowerCase()}`
+  return `name:${normalizeName(fields.name)}`
+}
+
+function optionsText(options) {
+  return VARIANT_AXES.filter(a => options?.[a]).map(a => options[a]).join(" / ")
+}
+
+function optionsKey(options) {
+  return VARIANT_AXES.map(a => String(options?.[a] || "").toLowerCase()).join("|")
+}
+
+// Only prices, availability and the variant grouping are updated on existing products; stock goes
+// through the ledger
+function diffProduct(product, fields, index) {
+  const changes = []
+  const push = (field, from, to) => {
+    if ((from ?? null) !== (to ?? null)) changes.push({ field, from: from ?? null, to: to ?? null })
+  }
+  const prices = product.prices || {}
+  if ("price" in fields) push("price", product.price, fields.price)
+  if ("priceInstalador" in fields) push("prices.instalador", prices.instalador, fields.priceInstalador)
+  if ("priceMayorista" in fields) push("prices.mayorista", prices.mayorista, fields.priceMayorista)
+  if ("available" in fields && !hasStockTracking(product)) push("available", product.available, fields.available)
+  if (fields.parentKey) {
+    const parent = index.byId.get(product.parentId)
+    const current = parent ? parent.variantKey || normalizeName(parent.name) : ""
+    if (current !== normalizeName(fields.parentKey)) push("variantOf", parent ? parent.name : "", fields.parentKey)
+    if (optionsText(product.variantOptions) !== optionsText(fields.variantOptions)) {
+      push("variantOptions", optionsText(product.variantOptions), optionsText(fields.variantOptions))
+    }
+  }
+  return changes
+}
+
+// Dry-run plan: one entry per row with status new / changed / unchanged / invalid, plus the parent
+// products the variant rows point to ({ key, name, productId } or, for new ones, productId null)
+export function planImport(records, products) {
+  const index = buildIndex(products)
+  const seen = new Map()
+  const parents = new Map()
+  const rows = records.map(normalizeRecord).map(r => {
+    let match = findMatch(index, r.fields)
+    const parentKey = r.fields.parentKey ? normalizeName(r.fields.parentKey) : ""
+    // A combination the parent already has updates that variant; on another product it would repeat it
+    const sibling = parentKey && r.fields.variantOptions ? existingVariant(index, parentKey, r.fields.variantOptions) : null
+    if (sibling && !match) match = { product: sibling, by: "variant" }
+    if (sibling && match.product.id !== sibling.id) {
+      r.errors.push(`la variante ${optionsText(r.fields.variantOptions)} ya existe (${sibling.name})`)
+    }
+    if (parentKey && !r.fields.name && !match) r.fields.name = variantName({ name: r.fields.parentKey }, r.fields.variantOptions)
+    const out = { row: r.row, status: "", name: r.fields.name || (match ? match.product.name : ""), code: r.fields.code || "", sku: r.fields.sku || "" }
+    if (parentKey) out.parentKey = r.fields.parentKey
+    if (!match && !r.fields.name) r.errors.push("nombre requerido")
+    if (match && isVariantParent(match.product)) r.errors.push("es un producto con variantes; importá sus variantes")
+    if (r.errors.length) return { ...out, status: "invalid", errors: r.errors }
+    const key = dedupeKey(r.fields, match)
+    if (seen.has(key)) return { ...out, status: "invalid", errors: [`fila duplicada (igual a la fila ${seen.get(key)})`] }
+    if (parentKey) {
+      const comboKey = `variant:${parentKey}:${optionsKey(r.fields.variantOptions)}`
+      if (seen.has(comboKey)) return { ...out, status: "invalid", errors: [`variante repetida (igual a la fila ${seen.get(comboKey)})`] }
+      seen.set(comboKey, r.row)
+      if (!parents.has(parentKey)) {
+        const existing = index.parents.get(parentKey)
+        parents.set(parentKey, { key: parentKey, name: existing ? existing.name : r.fields.parentKey, productId: existing ? existing.id : null, fields: r.fields })
+      }
+    }
+    seen.set(key, r.row)
+    if (!match) return { ...out, status: "new", fields: r.fields }
+    const changes = diffProduct(match.product, r.fields, index)
+    return {
+      ...out,
+      status: changes.length ? "changed" : "unchanged",
+      productId: match.product.id,
+      matchedBy: match.by,
+      changes,
+      fields: r.fields
+    }
+  })
+  const summary = { new: 0, changed: 0, unchanged: 0, invalid: 0 }
+  for (const r of rows) summary[r.status]++
+  const parentList = [...parents.values()].map(({ key, name, productId }) => ({ key, name, productId }))
+  summary.newParents = parentList.filter(p => p.productId == null).length
+  return { rows, summary, parents: parentList, parentFields: parents }
+}
+
+function newProduct(id, fields) {
+  const p = {
+    id,
+    name: fields.name,
+    code: fields.code || "",
+    brand: fields.brand || "",
+    sku: fields.sku || "",
+    category: fields.category || "General",
+    subcategory: fields.subcategory || "",
+    material: fields.material || "",
+    price: "price" in fields ? fields.price : null,
+    available: fields.available || "Disponible",
+    img: "https://via.placeholder.com/400x300?text=Sin+Imagen",
+    packInfo: fields.packInfo || "",
+    desc: fields.desc || "",
+    specs: []
+  }
+  const prices = {}
+  if (fields.priceInstalador != null) prices.instalador = fields.priceInstalador
+  if (fields.priceMayorista != null) prices.mayorista = fields.priceMayorista
+  if (Object.keys(prices).length) p.prices = prices
+  if (fields.minStock != null) p.minStock = fields.minStock
+  return p
+}
+
+// New parent: shared data comes from its first variant row; price and stock stay on the variants
+function newParent(id, name, key, fields) {
+  const p = newProduct(id, { ...fields, name })
+  delete p.code
+  delete p.sku
+  delete p.prices
+  delete p.minStock
+  p.price = null
+  p.variantKey = key
+  p.variantAxes = []
+  return p
+}
+
+// Applies a plan to the products array in place; returns the created products with their initial stock
+// and the existing parents that gained a variant axis
+export function applyImportPlan(plan, products) {
+  let nextId = products.length ? Math.max(...products.map(x => Number(x.id) || 0)) + 1 : 1
+  const created = []
+  let updated = 0
+  const parents = new Map()
+  const extended = new Set()
+  for (const [key, entry] of plan.parentFields || []) {
+    let parent = entry.productId != null ? products.find(x => x.id === entry.productId) : null
+    if (!parent) {
+      parent = newParent(nextId++, entry.name, key, entry.fields)
+      products.push(parent)
+      created.push({ product: parent })
+    }
+    parents.set(key, parent)
+  }
+  // Rows of a group become its variants; the parent gains any axis they use
+  const attach = (p, fields) => {
+    if (!fields.parentKey) return
+    const parent = parents.get(normalizeName(fields.parentKey))
+    if (!parent) return
+    p.parentId = parent.id
+    p.variantOptions = fields.variantOptions
+    const axes = VARIANT_AXES.filter(a => parent.variantAxes.includes(a) || fields.variantOptions[a])
+    if (axes.length === parent.variantAxes.length) return
+    parent.variantAxes = axes
+    if (!created.some(c => c.product === parent)) extended.add(parent)
+  }
+  for (const r of plan.rows) {
+    if (r.status === "new") {
+      const p = newProduct(nextId++, r.fields)
+      attach(p, r.fields)
+      products.push(p)
+      created.push({ product: p, stockQty: r.fields.stockQty })
+    } else if (r.status === "changed") {
+      const p = products.find(x => x.id === r.productId)
+      if (!p) continue
+      for (const c of r.changes) {
+        if (c.field === "variantOf" || c.field === "variantOptions") continue
+        if (c.field === "prices.instalador" || c.field === "prices.mayorista") {
+          p.prices = { ...(p.prices || {}), [c.field.split(".")[1]]: c.to }
+        } else {
+          p[c.field] = c.to
+        }
+      }
+      attach(p, r.fields)
+      updated++
+    }
+  }
+  return { created, updated, extended: [...extended] }
+}
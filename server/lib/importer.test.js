@@ -0,0 +1,25 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { planImport, applyImportPlan } from "./importer.js"
+
+const catalog = () => [
+  { id: 1, name: "Cable THHN", variantKey: "cable thhn", variantAxes: ["calibre", "color"], price: null },
+  { id: 2, name: "Cable THHN (#12 · Rojo)", code: "TH12R", parentId: 1, variantOptions: { calibre: "12", color: "Rojo" }, price: 100 },
+  { id: 3, name: "Cable THHN (#10 · Negro)", code: "TH10N", parentId: 1, variantOptions: { calibre: "10", color: "Negro" }, price: 150 }
+]
+
+test("a row with a combination the parent already has updates that variant", () => {
+  const products = catalog()
+  const plan = planImport([{ row: 2, raw: { parentKey: "Cable THHN", calibre: "12", color: "rojo", price: "120" } }], products)
+  assert.equal(plan.rows[0].status, "changed")
+  assert.equal(plan.rows[0].productId, 2)
+  const result = applyImportPlan(plan, products)
+  assert.equal(result.created.length, 0)
+  assert.equal(products.find(p => p.id === 2).price, 120)
+})
+
+test("a row of another product taking an existing combination is a conflict", () => {
+  const plan = planImport([{ row: 2, raw: { code: "TH10N", parentKey: "Cable THHN", calibre: "12", color: "Rojo" } }], catalog())
+  assert.equal(plan.rows[0].status, "invalid")
+  assert.match(plan.rows[0].errors[0], /ya existe/)
+})
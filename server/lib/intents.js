@@ -0,0 +1,115 @@
+// What the shopping assistant answers to. Keywords are compared without accents or plurals (same
+// rules as the catalog search), so "lámparas" matches "lampara". Rules are tried in order and the
+// first one whose keywords appear (and none of its `unless` words) handles the message.
+
+export const ASSISTANT_TEXTS = {
+  welcome: "Hola, soy tu asistente de compras de EMBAIR. Cuéntame qué necesitas y buscaré en el catálogo los productos adecuados. Por ejemplo: \"Necesito todo para instalar una lámpara en el comedor\" o \"Busco tubería y accesorios para agua en cocina\".",
+  emptyCatalog: "Por ahora no tengo productos cargados en el catálogo. Intenta de nuevo más tarde o contacta directamente con un asesor.",
+  familyPitch: "En EMBAIR trabajamos tableros, cables, tubería, cajetines, breakers, luminarias y tomacorrientes, entre otros artículos; la idea es que salgas con el paquete completo de materiales para tu instalación.",
+  recommendIntro: "Te sugiero estos productos según lo que comentas:",
+  recommendOutro: "Si te interesa alguno, responde con el nombre o código y te ayudo a afinar la lista. Si me cuentas más de la instalación (distancias, cantidad de puntos, tipo de ambiente), te ayudo a completar el pedido.",
+  noMatch: "Con lo que me cuentas no encontré algo claro en el catálogo. Prueba explicando qué ambiente o instalación quieres armar (por ejemplo: iluminación de sala, cambio de grifería de baño, tablero para apartamento).",
+  available: "Sí, en el catálogo figura como disponible: {name}.",
+  availableOutro: "Puedes buscarlo por nombre o código en el catálogo, o pedirme que te sugiera complementos.",
+  soldOut: "Ese producto figura como agotado en el catálogo: {name}.",
+  soldOutAlternatives: "Opciones alternativas que podrían servirte:",
+  soldOutNoAlternatives: "Si me das algún detalle extra de la instalación, intento buscar otra opción similar."
+}
+
+export const ASSISTANT_INTENTS = [
+  {
+    id: "cable",
+    keywords: ["cable", "cableado", "alambre"],
+    action: "cable",
+    ask: "Perfecto, trabajamos cables eléctricos. ¿Qué calibre necesitas (por ejemplo THHN #8, #10, #12 o en mm²), de qué color y para cuántos metros aproximadamente?",
+    found: "Para lo que buscas veo disponible en el catálogo: {name}.",
+    foundOutro: "Con este cable como base podemos sumar tubería, cajetines, tableros, breakers y tomas para que te lleves todo armado.",
+    notFound: "Para ese calibre o color puntual ahora mismo no veo stock disponible en el catálogo.",
+    alternatives: "Sí contamos con estos cables que podrían servirte:"
+  },
+  {
+    id: "tablero",
+    keywords: ["tablero"],
+    unless: ["empotrado", "superficie", "modulo"],
+    action: "ask",
+    pending: "tablero-detalle",
+    ask: "Para ayudarte mejor con tableros, indícame si lo necesitas empotrado o de superficie y para cuántos módulos aproximadamente."
+  },
+  {
+    id: "familia",
+    action: "family",
+    // Each family lists the words that bring it up and the words that identify its products
+    families: [
+      { keywords: ["tuberia", "tubo"], products: ["tubo", "tuberia"] },
+      { keywords: ["cajetin"], products: ["cajetin"] },
+      { keywords: ["breaker", "termomagnetico", "disyuntor"], products: ["breaker", "termomagnetico", "disyuntor"] },
+      { keywords: ["luminaria", "lampara", "foco", "bombillo"], products: ["luminaria", "lampara", "foco", "bombillo"] },
+      { keywords: ["tomacorriente", "enchufe", "interruptor"], products: ["interruptor", "toma", "tomacorriente", "enchufe"] }
+    ],
+    intro: "Sí, tenemos opciones disponibles en esa línea. Mira algunos de los productos que veo ahora en el catálogo:",
+    empty: "En este momento no veo productos cargados para ese tipo de material en el catálogo."
+  },
+  {
+    id: "disponibilidad",
+    keywords: ["disponible", "tienes", "tienen", "hay", "stock", "queda"],
+    action: "availability"
+  }
+]
+
+// Answers to a question the assistant asked in its previous turn
+export const ASSISTANT_FOLLOWUPS = {
+  "tablero-detalle": {
+    intro: "Perfecto, con ese detalle veo estas opciones de tableros en el catálogo:",
+    empty: "Con esos datos no encuentro un tablero claro en el catálogo. Indícame si es para interior o exterior y cuántos módulos aproximados, así afinamos mejor.",
+    outro: "Además de los tableros, también trabajamos breakers, cables, tubería, cajetines, tomacorrientes y luminarias. Si me cuentas cuántos circuitos o qué consumo vas a manejar, te ayudo a sumar esos materiales."
+  }
+}
+
+// Words that point to a category even when no product names them
+export const ASSISTANT_CATEGORY_HINTS = [
+  { keywords: ["lampara", "iluminacion", "foco", "bombillo", "luz"], category: "Electricidad" },
+  { keywords: ["tubo", "agua", "llave", "grifo", "griferia", "sifon"], category: "Plomería" }
+]
+
+// How customers write a cable gauge ("#12", "calibre 10", "6 mm2", "awg 8") and the colors sold
+export const CABLE_CALIBRE_PATTERNS = ["#\\s*(\\d+)", "calibre\\s*(\\d+)", "awg\\s*(\\d+)", "(\\d+)\\s*mm(?:2|²)"]
+export const CABLE_COLORS = ["rojo", "negro", "azul", "verde", "amarillo", "blanco", "gris", "marron"]
+
+// Questions the landing page asks before helping, so the quote can be followed up
+export const LEAD_FLOW = {
+  welcome: "Hola, soy el asistente virtual de EMBAIR. Para ayudarte con materiales y cotización, empecemos por tu nombre.",
+  steps: [
+    { field: "name", next: "Un gusto, {name}. ¿Buscas materiales para tu hogar o para un proyecto/obra?" },
+    { field: "segment", options: { obra: ["obra", "proyecto", "empresa"] }, fallback: "hogar", next: "Perfecto, {segmentLabel}. ¿Me compartes un número de contacto o correo para asociar tu cotización?" },
+    { field: "contact", next: "Listo {name}, ya tengo tus datos. Cuéntame ahora qué materiales estás buscando y te ayudo a filtrarlos (electricidad, plomería, ferretería o algo específico)." },
+    { field: "need", next: "He registrado tu solicitud. Con esta información ya podemos avanzar con tu cotización y al mismo tiempo revisar qué tenemos disponible en el catálogo." }
+  ],
+  segmentLabels: { obra: "proyecto/obra", hogar: "hogar" }
+}
+
+// Chat cart (WhatsApp). A message starting with one of these words is a cart command; numbers
+// point to the options of the last suggestion list ("agregar 2", "agregar 2 x 3") or, for
+// "quitar", to the lines of the cart.
+export const CART_COMMANDS = {
+  add: ["agregar", "agrega", "anadir", "sumar", "suma"],
+  remove: ["quitar", "quita", "sacar", "eliminar"],
+  show: ["carrito", "ver carrito", "mi carrito"],
+  clear: ["vaciar", "vaciar carrito"],
+  confirm: ["confirmar", "confirmo", "confirmar pedido"]
+}
+
+export const CART_TEXTS = {
+  hint: "Para sumar una opción a tu carrito responde *agregar 1* (o *agregar 1 x 3* para tres unidades). Escribe *carrito* para verlo y *confirmar* para enviar el pedido.",
+  added: "Agregué {qty} x {name} a tu carrito.",
+  unknownOption: "No encuentro la opción {n} entre mis últimas sugerencias. Pídeme productos y responde *agregar* con el número de la lista.",
+  removed: "Quité {name} del carrito.",
+  unknownLine: "Tu carrito no tiene la línea {n}. Escribe *carrito* para ver los números.",
+  cart: "Tu carrito:",
+  total: "Total aprox: {total}",
+  quoteItems: "Los productos sin precio se cotizan al confirmar.",
+  cartOutro: "Escribe *confirmar* para enviar el pedido o *quitar 1* para sacar una línea.",
+  empty: "Tu carrito está vacío. Pídeme productos y responde *agregar* con el número de la opción.",
+  cleared: "Listo, vacié tu carrito.",
+  confirmed: "¡Listo! Registramos tu pedido N° {id}. Un vendedor te escribirá por aquí para coordinar el pago y la entrega.",
+  failed: "No pude registrar el pedido: los productos del carrito ya no están en el catálogo. Pídeme opciones nuevas y armamos el carrito otra vez."
+}
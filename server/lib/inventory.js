@@ -0,0 +1,57 @@
+export const STOCK_MOVEMENT_TYPES = ["entrada", "venta", "ajuste", "devolucion"]
+
+export const DEFAULT_MIN_STOCK = 5
+
+// Products created before unit inventory only have the old "stock %" field and are not tracked
+export function hasStockTracking(product) {
+  return typeof product.stockQty === "number" && Number.isFinite(product.stockQty)
+}
+
+export function minStockFor(product) {
+  const n = Number(product.minStock)
+  return product.minStock == null || product.minStock === "" || Number.isNaN(n) ? DEFAULT_MIN_STOCK : n
+}
+
+export function stockLevel(product) {
+  if (!hasStockTracking(product)) return null
+  if (product.stockQty <= 0) return "agotado"
+  if (product.stockQty <= minStockFor(product)) return "bajo"
+  return "ok"
+}
+
+// `available` follows the unit count: zero means "Agotado", restocking brings it back
+export function syncAvailability(product) {
+  if (!hasStockTracking(product)) return product
+  if (product.stockQty <= 0) product.available = "Agotado"
+  else if (!product.available || product.available === "Agotado") product.available = "Disponible"
+  return product
+}
+
+// Entries and returns add units, sales remove them, adjustments carry their own sign
+export function stockDelta(type, qty) {
+  const n = Math.trunc(Number(qty) || 0)
+  if (type === "entrada" || type === "devolucion") return Math.abs(n)
+  if (type === "venta") return -Math.abs(n)
+  return n
+}
+
+export function applyStockMovement(product, { type, qty, reason, user, orderId }, movementId) {
+  const before = hasStockTracking(product) ? product.stockQty : 0
+  const delta = stockDelta(type, qty)
+  product.stockQty = before + delta
+  syncAvailability(product)
+  const movement = {
+    id: movementId,
+    productId: product.id,
+    productName: product.name || "",
+    type,
+    qty: delta,
+    before,
+    after: product.stockQty,
+    reason: reason || "",
+    user: user || "",
+    createdAt: new Date().toISOString()
+  }
+  if (orderId != null) movement.orderId = orderId
+  return movement
+}
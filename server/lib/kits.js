@@ -0,0 +1,111 @@
+import { PRICE_TIERS, basePriceForTier } from "./pricing.js"
+import { hasStockTracking } from "./inventory.js"
+import { displayName, isVariantParent } from "./variants.js"
+
+// Kits ("Kit tablero 8 módulos", "Kit baño"): a product with `kitItems` ([{ productId, qty }]) sold
+// as one line. It has its own price, or `kitDiscount` (a percentage off the sum of its components
+// at the buyer's tier). Availability comes from the components and a sale takes their stock.
+
+export function isKit(p) {
+  return Array.isArray(p?.kitItems) && p.kitItems.length > 0
+}
+
+// Checks and normalizes the kit fields of a product about to be saved. Returns { fields } or
+// { error }; repeated components are merged.
+export function kitFields(fields, products, selfId = null) {
+  const out = { ...fields }
+  if ("kitItems" in out) {
+    const list = Array.isArray(out.kitItems) ? out.kitItems : []
+    const merged = new Map()
+    for (const it of list) {
+      const id = Number(it && it.productId)
+      const qty = Math.floor(Number(it && it.qty))
+      if (!id || !qty || qty < 1) return { error: "invalid_kit_item" }
+      const p = products.find(x => x.id === id)
+      if (!p || id === selfId || isVariantParent(p)) return { error: "invalid_kit_item" }
+      if (isKit(p)) return { error: "kit_in_kit" }
+      merged.set(id, (merged.get(id) || 0) + qty)
+    }
+    out.kitItems = merged.size ? [...merged].map(([productId, qty]) => ({ productId, qty })) : undefined
+  }
+  if ("kitDiscount" in out) {
+    const raw = out.kitDiscount
+    const d = Number(raw)
+    if (raw == null || raw === "") out.kitDiscount = undefined
+    else if (Number.isNaN(d) || d <= 0 || d >= 100) return { error: "invalid_kit_discount" }
+    else out.kitDiscount = d
+  }
+  const self = selfId == null ? null : products.find(p => p.id === selfId)
+  const items = "kitItems" in out ? out.kitItems : self?.kitItems
+  if (items && items.length) {
+    const axes = "variantAxes" in out ? out.variantAxes : self?.variantAxes
+    if (axes && axes.length) return { error: "kit_cannot_have_variants" }
+    if (selfId != null && products.some(p => isKit(p) && p.kitItems.some(it => it.productId === selfId))) return { error: "kit_in_kit" }
+  }
+  return { fields: out }
+}
+
+// Kits a product is part of; it cannot be deleted while there is one
+export function kitsUsing(productId, products) {
+  return products.filter(p => isKit(p) && p.kitItems.some(it => it.productId === productId))
+}
+
+function componentsOf(kit, byId) {
+  return kit.kitItems.map(it => ({ product: byId.get(it.productId), qty: it.qty }))
+}
+
+function discountedPrice(components, tier, discount) {
+  let sum = 0
+  for (const { product, qty } of components) {
+    const price = product ? basePriceForTier(product, tier) : null
+    if (price == null) return null
+    sum += price * qty
+  }
+  // To the cent: prices are in dollars, and a kit of $0.70 + $0.90 must not become $1
+  return Math.round(sum * (1 - discount / 100) * 100) / 100
+}
+
+// Units that can be assembled from the tracked components; null when none is tracked
+function kitStock(components) {
+  let units = null
+  for (const { product, qty } of components) {
+    if (!product || !hasStockTracking(product)) continue
+    const n = Math.max(0, Math.floor(product.stockQty / qty))
+    units = units == null ? n : Math.min(units, n)
+  }
+  return units
+}
+
+// Catalog with every kit filled in from its components: discount prices for each tier, availability,
+// buildable units and the list of what it includes. Other products pass through untouched.
+export function resolveKits(products) {
+  const byId = new Map(products.map(p => [p.id, p]))
+  return products.map(p => {
+    if (!isKit(p)) return p
+    const components = componentsOf(p, byId)
+    const out = { ...p }
+    if (p.kitDiscount != null) {
+      out.price = discountedPrice(components, "detal", p.kitDiscount)
+      out.prices = {}
+      for (const tier of PRICE_TIERS.slice(1)) out.prices[tier] = discountedPrice(components, tier, p.kitDiscount)
+    }
+    const units = kitStock(components)
+    const missing = components.some(c => !c.product || c.product.available === "Agotado")
+    out.available = missing || units === 0 ? "Agotado" : "Disponible"
+    if (units != null) out.kitStock = units
+    out.kitComponents = components.map(({ product, qty }) => ({
+      productId: product ? product.id : null,
+      name: product ? displayName(product, products) : "Producto eliminado",
+      qty
+    }))
+    return out
+  })
+}
+
+// Components as recorded on an order line, so cancelling returns what was actually taken
+export function kitLineItems(kit, products) {
+  return kit.kitItems.map(it => {
+    const p = products.find(x => x.id === it.productId)
+    return { productId: it.productId, name: p ? displayName(p, products) : "", qty: it.qty }
+  })
+}
@@ -0,0 +1,14 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { resolveKits } from "./kits.js"
+
+test("a discounted kit under one unit keeps its cents", () => {
+  const products = [
+    { id: 5, name: "Borne", price: 0.7, available: "Disponible" },
+    { id: 6, name: "Terminal", price: 0.9, available: "Disponible" },
+    { id: 7, name: "Kit bornes", kitItems: [{ productId: 5, qty: 1 }, { productId: 6, qty: 1 }], kitDiscount: 10 }
+  ]
+  const kit = resolveKits(products).find(p => p.id === 7)
+  assert.equal(kit.price, 1.44)
+  assert.equal(kit.prices.instalador, 1.44)
+})
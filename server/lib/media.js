@@ -0,0 +1,103 @@
+import crypto from "crypto"
+import fs from "fs"
+import path from "path"
+
+// Media library for public/uploads. Every file is indexed with its content hash, so uploading the
+// same bytes again hands back the copy already stored, and with what points at it (products,
+// catalogs, campaigns, templates, price lists, config) so unused files can be told apart.
+
+const MB = 1024 * 1024
+
+// Accepted uploads. The type comes from the file's first bytes, not from its name or the MIME
+// type the browser sends.
+export const MEDIA_TYPES = {
+  "image/jpeg": { ext: ".jpg", maxSize: 5 * MB },
+  "image/png": { ext: ".png", maxSize: 5 * MB },
+  "image/webp": { ext: ".webp", maxSize: 5 * MB },
+  "image/gif": { ext: ".gif", maxSize: 5 * MB },
+  "application/pdf": { ext: ".pdf", maxSize: 25 * MB }
+}
+export const MAX_UPLOAD_SIZE = Math.max(...Object.values(MEDIA_TYPES).map(t => t.maxSize))
+
+// Unreferenced files newer than this are kept by the cleanup: a form uploads its image or PDF
+// before the product or campaign that uses it is saved
+export const ORPHAN_GRACE_MS = 24 * 60 * 60 * 1000
+
+export function sniffType(buffer) {
+  const head = buffer.subarray(0, 12).toString("latin1")
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "image/jpeg"
+  if (head.startsWith("\x89PNG\r\n\x1a\n")) return "image/png"
+  if (head.startsWith("RIFF") && head.slice(8, 12) === "WEBP") return "image/webp"
+  if (head.startsWith("GIF87a") || head.startsWith("GIF89a")) return "image/gif"
+  if (head.startsWith("%PDF-")) return "application/pdf"
+  return null
+}
+
+export function contentHash(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex")
+}
+
+// Checks a multer memory upload: { mime } or { error }
+export function checkUpload(file) {
+  if (!file || !file.size) return { error: "file_required" }
+  const mime = sniffType(file.buffer)
+  if (!mime) return { error: "unsupported_type" }
+  if (file.size > MEDIA_TYPES[mime].maxSize) return { error: "file_too_large" }
+  return { mime }
+}
+
+// "Lista Precios.PDF" -> "Lista_Precios_1770735154632.pdf", the way uploads were always named
+export function mediaFilename(originalName, mime, now = Date.now()) {
+  const ext = path.extname(originalName || "")
+  const name = path.basename(originalName || "file", ext).replace(/\W+/g, "_") || "file"
+  return `${name}_${now}${MEDIA_TYPES[mime]?.ext || ext.toLowerCase()}`
+}
+
+// Files in the uploads folder: [{ filename, size, mtime }]
+export function listUploads(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(d => d.isFile() && !d.name.startsWith("."))
+    .map(d => {
+      const stat = fs.statSync(path.join(dir, d.name))
+      return { filename: d.name, size: stat.size, mtime: stat.mtime.toISOString() }
+    })
+}
+
+// Upload names a value points at: "/uploads/a.pdf", "uploads/a.pdf", "https://host/uploads/a.pdf"
+// or any of those inside the HTML of a template
+export function uploadNames(value) {
+  if (!value) return []
+  const text = typeof value === "string" ? value : JSON.stringify(value)
+  const names = new Set()
+  for (const m of text.matchAll(/(?:^|[/"'(\s=])uploads\/([^/?#"'\s)<>\\]+)/g)) {
+    try {
+      names.add(decodeURIComponent(m[1]))
+    } catch {
+      names.add(m[1])
+    }
+  }
+  return [...names]
+}
+
+// Map filename -> [{ type, id, label }] of everything that uses an upload
+export function mediaReferences({ products = [], catalogs = [], campaigns = [], templates = [], priceLists = [], config = {} }) {
+  const refs = new Map()
+  const add = (value, ref) => {
+    for (const name of uploadNames(value)) {
+      const list = refs.get(name) || []
+      if (!list.some(r => r.type === ref.type && r.id === ref.id)) list.push(ref)
+      refs.set(name, list)
+    }
+  }
+  for (const p of products) {
+    add(p.img, { type: "product", id: p.id, label: p.name || `#${p.id}` })
+    add(p.pack, { type: "product", id: p.id, label: p.name || `#${p.id}` })
+  }
+  for (const c of catalogs) add(c.url, { type: "catalog", id: c.id, label: c.title || "" })
+  for (const c of campaigns) add(c.pdfUrl, { type: "campaign", id: c.id, label: c.subject || "" })
+  for (const t of templates) add(t.html, { type: "template", id: t.id, label: t.name || "" })
+  for (const l of priceLists) add(l.url, { type: "priceList", id: l.id, label: `${l.title} v${l.version}` })
+  // Logo and anything else the panel saved in the configuration
+  add(config, { type: "config", id: "config", label: "Configuración" })
+  return refs
+}
@@ -0,0 +1,255 @@
+import zlib from "zlib"
+
+// Minimal PDF writer for the generated price lists: A4 pages with Helvetica text (WinAnsi, so
+// accents and ñ work), filled rectangles, lines and JPEG/PNG images. Coordinates are in points
+// with y measured from the top of the page; text is placed by its baseline.
+
+export const A4 = { width: 595.28, height: 841.89 }
+
+// Helvetica and Helvetica-Bold advance widths (1/1000 em) for ASCII 32-126
+const HELVETICA = [278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584]
+const HELVETICA_BOLD = [278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584]
+
+// WinAnsi code points that differ from Latin-1
+const WIN_ANSI = { "€": 0x80, "‚": 0x82, "„": 0x84, "…": 0x85, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94, "•": 0x95, "–": 0x96, "—": 0x97, "™": 0x99 }
+
+function winAnsiBytes(str) {
+  const out = []
+  for (const ch of String(str)) {
+    const code = ch.codePointAt(0)
+    if (WIN_ANSI[ch]) out.push(WIN_ANSI[ch])
+    else if ((code >= 32 && code < 127) || (code >= 160 && code <= 255)) out.push(code)
+    else out.push(0x3f)
+  }
+  return Buffer.from(out)
+}
+
+// Accented letters measure like their base letter; other Latin-1 signs get an average width
+function charWidth(ch, bold) {
+  const table = bold ? HELVETICA_BOLD : HELVETICA
+  const code = ch.charCodeAt(0)
+  if (code >= 32 && code <= 126) return table[code - 32]
+  const base = ch.normalize("NFD")[0]
+  if (base !== ch && base.charCodeAt(0) >= 32 && base.charCodeAt(0) <= 126) return table[base.charCodeAt(0) - 32]
+  return 556
+}
+
+export function textWidth(str, size, bold = false) {
+  let w = 0
+  for (const ch of String(str)) w += charWidth(ch, bold)
+  return (w * size) / 1000
+}
+
+// Cuts the text with "…" so it fits in maxWidth
+export function fitText(str, maxWidth, size, bold = false) {
+  const text = String(str ?? "")
+  if (textWidth(text, size, bold) <= maxWidth) return text
+  let out = text
+  while (out.length && textWidth(out + "…", size, bold) > maxWidth) out = out.slice(0, -1)
+  return out.trimEnd() + "…"
+}
+
+function num(n) {
+  return Number(n.toFixed(2)).toString()
+}
+
+function colorOp(rgb, stroke) {
+  const [r, g, b] = rgb.map(c => num(c / 255))
+  return `${r} ${g} ${b} ${stroke ? "RG" : "rg"}`
+}
+
+function jpegInfo(buf) {
+  if (buf[0] !== 0xff || buf[1] !== 0xd8) return null
+  let i = 2
+  while (i + 9 < buf.length) {
+    if (buf[i] !== 0xff) return null
+    const marker = buf[i + 1]
+    const len = buf.readUInt16BE(i + 2)
+    if (marker >= 0xc0 && marker <= 0xc2) {
+      const components = buf[i + 9]
+      return {
+        width: buf.readUInt16BE(i + 7),
+        height: buf.readUInt16BE(i + 5),
+        dict: `/ColorSpace /${components === 1 ? "DeviceGray" : components === 4 ? "DeviceCMYK" : "DeviceRGB"} /BitsPerComponent 8 /Filter /DCTDecode`,
+        data: buf
+      }
+    }
+    i += 2 + len
+  }
+  return null
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c
+  const pa = Math.abs(p - a)
+  const pb = Math.abs(p - b)
+  const pc = Math.abs(p - c)
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c
+}
+
+// Undoes the per-row PNG filters of 8-bit pixel data
+function unfilter(raw, width, height, bpp) {
+  const stride = width * bpp
+  const out = Buffer.alloc(stride * height)
+  for (let y = 0; y < height; y++) {
+    const type = raw[y * (stride + 1)]
+    const src = y * (stride + 1) + 1
+    const row = y * stride
+    for (let x = 0; x < stride; x++) {
+      const a = x >= bpp ? out[row + x - bpp] : 0
+      const b = y ? out[row - stride + x] : 0
+      const c = x >= bpp && y ? out[row - stride + x - bpp] : 0
+      const v = raw[src + x]
+      out[row + x] = (type === 1 ? v + a : type === 2 ? v + b : type === 3 ? v + ((a + b) >> 1) : type === 4 ? v + paeth(a, b, c) : v) & 0xff
+    }
+  }
+  return out
+}
+
+// 8-bit, non-interlaced PNGs. Opaque ones go in as they are (same deflate stream and filters);
+// an alpha channel is split into a soft mask.
+function pngInfo(buf) {
+  if (buf.readUInt32BE(0) !== 0x89504e47) return null
+  let i = 8
+  let header = null
+  let palette = null
+  const idat = []
+  while (i + 8 <= buf.length) {
+    const len = buf.readUInt32BE(i)
+    const type = buf.toString("latin1", i + 4, i + 8)
+    const body = buf.subarray(i + 8, i + 8 + len)
+    if (type === "IHDR") header = { width: body.readUInt32BE(0), height: body.readUInt32BE(4), depth: body[8], colorType: body[9], interlace: body[12] }
+    else if (type === "PLTE") palette = body
+    else if (type === "IDAT") idat.push(body)
+    else if (type === "IEND") break
+    i += 12 + len
+  }
+  if (!header || header.depth !== 8 || header.interlace !== 0) return null
+  const { width, height, colorType } = header
+  const data = Buffer.concat(idat)
+  const colors = { 0: 1, 2: 3, 3: 1 }[colorType]
+  if (colors) {
+    const space = colorType === 3
+      ? `[/Indexed /DeviceRGB ${palette.length / 3 - 1} <${palette.toString("hex")}>]`
+      : colorType === 0 ? "/DeviceGray" : "/DeviceRGB"
+    return {
+      width,
+      height,
+      dict: `/ColorSpace ${space} /BitsPerComponent 8 /Filter /FlateDecode /DecodeParms << /Predictor 15 /Colors ${colors} /BitsPerComponent 8 /Columns ${width} >>`,
+      data
+    }
+  }
+  if (colorType !== 4 && colorType !== 6) return null
+  const bpp = colorType === 6 ? 4 : 2
+  const pixels = unfilter(zlib.inflateSync(data), width, height, bpp)
+  const color = Buffer.alloc(width * height * (bpp - 1))
+  const alpha = Buffer.alloc(width * height)
+  for (let p = 0; p < width * height; p++) {
+    pixels.copy(color, p * (bpp - 1), p * bpp, p * bpp + bpp - 1)
+    alpha[p] = pixels[p * bpp + bpp - 1]
+  }
+  return {
+    width,
+    height,
+    dict: `/ColorSpace /${bpp === 4 ? "DeviceRGB" : "DeviceGray"} /BitsPerComponent 8 /Filter /FlateDecode`,
+    data: zlib.deflateSync(color),
+    smask: zlib.deflateSync(alpha)
+  }
+}
+
+// { width, height } of a JPEG or PNG the writer can embed; null otherwise
+export function imageSize(buf) {
+  const info = imageInfo(buf)
+  return info ? { width: info.width, height: info.height } : null
+}
+
+function imageInfo(buf) {
+  if (!Buffer.isBuffer(buf) || buf.length < 24) return null
+  try {
+    return jpegInfo(buf) || pngInfo(buf)
+  } catch {
+    return null
+  }
+}
+
+export function createPdf({ width = A4.width, height = A4.height, title = "" } = {}) {
+  const pages = []
+  const images = []
+  let page = null
+  const y = top => num(height - top)
+
+  return {
+    width,
+    height,
+    addPage() {
+      page = []
+      pages.push(page)
+      return pages.length
+    },
+    pageCount: () => pages.length,
+    // Later drawing goes to page n (1-based), e.g. footers once the page count is known
+    usePage(n) {
+      page = pages[n - 1]
+    },
+    text(str, x, top, { size = 10, bold = false, color = [0, 0, 0], align = "left" } = {}) {
+      const w = textWidth(str, size, bold)
+      const left = align === "right" ? x - w : align === "center" ? x - w / 2 : x
+      page.push(`BT ${colorOp(color)} /${bold ? "F2" : "F1"} ${num(size)} Tf ${num(left)} ${y(top)} Td <${winAnsiBytes(str).toString("hex")}> Tj ET`)
+    },
+    rect(x, top, w, h, { fill = null, stroke = null, lineWidth = 0.5 } = {}) {
+      const ops = [`${num(x)} ${y(top + h)} ${num(w)} ${num(h)} re`]
+      if (fill) ops.unshift(colorOp(fill))
+      if (stroke) ops.unshift(`${colorOp(stroke, true)} ${num(lineWidth)} w`)
+      ops.push(fill && stroke ? "B" : fill ? "f" : "S")
+      page.push(ops.join(" "))
+    },
+    line(x1, top1, x2, top2, { color = [0, 0, 0], lineWidth = 0.5 } = {}) {
+      page.push(`${colorOp(color, true)} ${num(lineWidth)} w ${num(x1)} ${y(top1)} m ${num(x2)} ${y(top2)} l S`)
+    },
+    // False when the image is not a JPEG or PNG this writer understands
+    image(buf, x, top, w, h) {
+      const info = imageInfo(buf)
+      if (!info) return false
+      images.push(info)
+      page.push(`q ${num(w)} 0 0 ${num(h)} ${num(x)} ${y(top + h)} cm /Im${images.length} Do Q`)
+      return true
+    },
+    toBuffer() {
+      const objects = []
+      // push returns the new length, which is the object number
+      const add = body => objects.push(body)
+      const catalog = add(null)
+      const pagesObj = add(null)
+      const fonts = ["Helvetica", "Helvetica-Bold"].map(f => add(`<< /Type /Font /Subtype /Type1 /BaseFont /${f} /Encoding /WinAnsiEncoding >>`))
+      const imageRefs = images.map(img => {
+        const smask = img.smask ? add({ dict: `/Type /XObject /Subtype /Image /Width ${img.width} /Height ${img.height} /ColorSpace /DeviceGray /BitsPerComponent 8 /Filter /FlateDecode`, data: img.smask }) : null
+        return add({ dict: `/Type /XObject /Subtype /Image /Width ${img.width} /Height ${img.height} ${img.dict}${smask ? ` /SMask ${smask} 0 R` : ""}`, data: img.data })
+      })
+      const resources = `<< /Font << /F1 ${fonts[0]} 0 R /F2 ${fonts[1]} 0 R >> /XObject << ${imageRefs.map((ref, i) => `/Im${i + 1} ${ref} 0 R`).join(" ")} >> >>`
+      const pageRefs = pages.map(ops => {
+        const content = add({ dict: "/Filter /FlateDecode", data: zlib.deflateSync(Buffer.from(ops.join("\n"), "latin1")) })
+        return add(`<< /Type /Page /Parent ${pagesObj} 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] /Resources ${resources} /Contents ${content} 0 R >>`)
+      })
+      objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesObj} 0 R >>`
+      objects[pagesObj - 1] = `<< /Type /Pages /Kids [${pageRefs.map(r => `${r} 0 R`).join(" ")}] /Count ${pageRefs.length} >>`
+      const info = add(`<< /Title <${Buffer.concat([Buffer.from([0xfe, 0xff]), Buffer.from(String(title), "utf16le").swap16()]).toString("hex")}> /Producer (EMBAIR) >>`)
+
+      const chunks = [Buffer.from("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n", "latin1")]
+      let offset = chunks[0].length
+      const offsets = []
+      objects.forEach((body, i) => {
+        offsets.push(offset)
+        const parts = typeof body === "string"
+          ? [Buffer.from(`${i + 1} 0 obj\n${body}\nendobj\n`, "latin1")]
+          : [Buffer.from(`${i + 1} 0 obj\n<< ${body.dict} /Length ${body.data.length} >>\nstream\n`, "latin1"), body.data, Buffer.from("\nendstream\nendobj\n", "latin1")]
+        for (const part of parts) {
+          chunks.push(part)
+          offset += part.length
+        }
+      })
+      const xref = [`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`, ...offsets.map(o => `${String(o).padStart(10, "0")} 00000 n \n`)].join("")
+      chunks.push(Buffer.from(`${xref}trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\nstartxref\n${offset}\n%%EOF\n`, "latin1"))
+      return Buffer.concat(chunks)
+    }
+  }
+}
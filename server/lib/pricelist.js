@@ -0,0 +1,207 @@
+import { PRICE_TIERS, basePriceForTier } from "./pricing.js"
+import { resolveKits } from "./kits.js"
+import { sellableProducts } from "./variants.js"
+import fs from "fs"
+import path from "path"
+import fetch from "node-fetch"
+import { A4, createPdf, fitText, imageSize } from "./pdf.js"
+import { foldText } from "./search.js"
+import { DEFAULT_CURRENCY, formatMoney } from "./currency.js"
+
+// Branded price list generated from the live catalog: products grouped by category and
+// subcategory, with the chosen columns and one price column per tier.
+
+export const PRICE_LIST_COLUMNS = ["code", "brand", "available"]
+export const PRICE_LIST_TIER_LABELS = { detal: "Precio detal", instalador: "Precio instalador", mayorista: "Precio mayorista" }
+const COLUMN_LABELS = { code: "Código", brand: "Marca", available: "Disponib." }
+const COLUMN_WIDTHS = { code: 72, brand: 72, available: 52 }
+const PRICE_WIDTH = 66
+
+const MARGIN = 36
+const ROW_HEIGHT = 14
+const FONT_SIZE = 8.5
+const INDIGO = [67, 56, 202]
+const SLATE = [71, 85, 105]
+const LIGHT = [241, 245, 249]
+const RED = [220, 38, 38]
+
+// Options from the panel form: { options } or { error }
+export function priceListOptions(body) {
+  const b = body || {}
+  const title = String(b.title || "").trim().slice(0, 120)
+  if (!title) return { error: "title_required" }
+  const columns = PRICE_LIST_COLUMNS.filter(c => (Array.isArray(b.columns) ? b.columns : PRICE_LIST_COLUMNS).includes(c))
+  const tiers = PRICE_TIERS.filter(t => (Array.isArray(b.tiers) ? b.tiers : ["detal"]).includes(t))
+  if (!tiers.length) return { error: "tiers_required" }
+  const categories = Array.isArray(b.categories) ? b.categories.map(c => String(c).trim()).filter(Boolean) : []
+  return { options: { title, columns, tiers, categories, includeSoldOut: b.includeSoldOut !== false } }
+}
+
+export function slugify(text) {
+  return foldText(text).replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 60) || "lista"
+}
+
+// [{ category, subcategories: [{ name, rows: [{ name, code, brand, available, prices }] }] }]
+export function priceListSections(products, { categories = [], tiers, includeSoldOut = true }) {
+  const groups = new Map()
+  const byId = new Map(products.map(p => [p.id, p]))
+  let count = 0
+  for (const p of sellableProducts(resolveKits(products))) {
+    // Variants are filed where their parent is
+    const parent = p.parentId != null ? byId.get(p.parentId) : null
+    const category = (parent ? parent.category : p.category) || "General"
+    if (categories.length && !categories.includes(category)) continue
+    if (!includeSoldOut && p.available === "Agotado") continue
+    if (!groups.has(category)) groups.set(category, new Map())
+    const subs = groups.get(category)
+    const sub = (parent ? parent.subcategory : p.subcategory) || ""
+    if (!subs.has(sub)) subs.set(sub, [])
+    subs.get(sub).push({
+      name: p.name || "",
+      code: p.code || "",
+      brand: p.brand || "",
+      available: p.available === "Agotado" ? "Agotado" : "Disponible",
+      prices: Object.fromEntries(tiers.map(t => [t, basePriceForTier(p, t)]))
+    })
+    count++
+  }
+  const byName = (a, b) => a.localeCompare(b, "es", { numeric: true })
+  const sections = [...groups.keys()].sort(byName).map(category => ({
+    category,
+    subcategories: [...groups.get(category).keys()].sort(byName).map(name => ({
+      name,
+      rows: groups.get(category).get(name).sort((a, b) => byName(a.name, b.name))
+    }))
+  }))
+  return { sections, count }
+}
+
+// Image bytes of config.logoUrl: an uploaded file ("/uploads/logo.png") or a remote URL. A logo
+// that cannot be read leaves the company name in its place.
+export async function loadLogo(url, uploadDir) {
+  const value = String(url || "").trim()
+  if (!value) return null
+  try {
+    if (value.startsWith("/uploads/")) {
+      return fs.readFileSync(path.join(uploadDir, path.basename(value)))
+    }
+    if (!/^https?:\/\//i.test(value)) return null
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(), 5000)
+    try {
+      const res = await fetch(value, { signal: controller.signal })
+      return res.ok ? Buffer.from(await res.arrayBuffer()) : null
+    } finally {
+      clearTimeout(timer)
+    }
+  } catch {
+    return null
+  }
+}
+
+function money(value, currency) {
+  return value == null ? "Consultar" : formatMoney(value, currency.primary, currency)
+}
+
+function formatDate(date) {
+  const d = new Date(date)
+  return `${String(d.getDate()).padStart(2, "0")}/${String(d.getMonth() + 1).padStart(2, "0")}/${d.getFullYear()}`
+}
+
+// PDF of the list; `logo` is the image buffer of config.logoUrl (JPEG or PNG) or null, and a null
+// `version` marks a preview. Prices are in the store's primary currency.
+export function renderPriceList({ options, sections, logo = null, date = new Date(), version = 1, company = "EMBAIR", currency = DEFAULT_CURRENCY }) {
+  const pdf = createPdf({ title: options.title })
+  const width = A4.width - MARGIN * 2
+  const fixed = options.columns.reduce((acc, c) => acc + COLUMN_WIDTHS[c], 0) + options.tiers.length * PRICE_WIDTH
+  const columns = [
+    { key: "name", label: "Producto", width: width - fixed },
+    ...options.columns.map(c => ({ key: c, label: COLUMN_LABELS[c], width: COLUMN_WIDTHS[c] })),
+    ...options.tiers.map(t => ({ key: t, label: PRICE_LIST_TIER_LABELS[t], width: PRICE_WIDTH, price: true }))
+  ]
+  const bottom = A4.height - MARGIN - 20
+  let top = 0
+
+  const tableHeader = () => {
+    pdf.rect(MARGIN, top, width, ROW_HEIGHT + 2, { fill: LIGHT })
+    let x = MARGIN
+    for (const col of columns) {
+      const label = fitText(col.label, col.width - 6, FONT_SIZE, true)
+      if (col.price) pdf.text(label, x + col.width - 3, top + 10.5, { size: FONT_SIZE, bold: true, color: SLATE, align: "right" })
+      else pdf.text(label, x + 3, top + 10.5, { size: FONT_SIZE, bold: true, color: SLATE })
+      x += col.width
+    }
+    top += ROW_HEIGHT + 4
+  }
+  const newPage = () => {
+    pdf.addPage()
+    top = MARGIN
+    if (pdf.pageCount() === 1) {
+      const size = logo && imageSize(logo)
+      if (size) {
+        const scale = Math.min(150 / size.width, 56 / size.height, 1)
+        pdf.image(logo, MARGIN, top, size.width * scale, size.height * scale)
+      } else {
+        pdf.text(company, MARGIN, top + 26, { size: 22, bold: true, color: INDIGO })
+      }
+      pdf.text(fitText(options.title, width - 170, 16, true), MARGIN + width, top + 18, { size: 16, bold: true, align: "right" })
+      pdf.text(`Precios vigentes al ${formatDate(date)}`, MARGIN + width, top + 34, { size: 10, color: SLATE, align: "right" })
+      pdf.text(version == null ? "Vista previa" : `Versión ${version}`, MARGIN + width, top + 48, { size: 9, color: SLATE, align: "right" })
+      top += 66
+      pdf.line(MARGIN, top, MARGIN + width, top, { color: INDIGO, lineWidth: 1.5 })
+      top += 10
+    } else {
+      pdf.text(fitText(options.title, width - 120, 9, true), MARGIN, top + 9, { size: 9, bold: true, color: SLATE })
+      pdf.text(`Precios vigentes al ${formatDate(date)}`, MARGIN + width, top + 9, { size: 9, color: SLATE, align: "right" })
+      top += 18
+    }
+    tableHeader()
+  }
+  // Starts a new page when `needed` points do not fit; a heading brings its first row along
+  const ensure = needed => {
+    if (top + needed > bottom) newPage()
+  }
+
+  newPage()
+  if (!sections.length) pdf.text("No hay productos para los filtros elegidos.", MARGIN, top + 12, { size: 10, color: SLATE })
+  for (const section of sections) {
+    ensure(ROW_HEIGHT * 3)
+    pdf.rect(MARGIN, top, width, ROW_HEIGHT + 4, { fill: INDIGO })
+    pdf.text(section.category.toUpperCase(), MARGIN + 4, top + 12.5, { size: 10, bold: true, color: [255, 255, 255] })
+    top += ROW_HEIGHT + 6
+    for (const sub of section.subcategories) {
+      if (sub.name) {
+        ensure(ROW_HEIGHT * 2)
+        pdf.text(sub.name, MARGIN + 3, top + 10.5, { size: 9.5, bold: true, color: INDIGO })
+        top += ROW_HEIGHT
+      }
+      sub.rows.forEach((row, i) => {
+        ensure(ROW_HEIGHT)
+        if (i % 2) pdf.rect(MARGIN, top, width, ROW_HEIGHT, { fill: [248, 250, 252] })
+        let x = MARGIN
+        for (const col of columns) {
+          if (col.price) {
+            pdf.text(money(row.prices[col.key], currency), x + col.width - 3, top + 10, { size: FONT_SIZE, bold: row.prices[col.key] != null, align: "right" })
+          } else {
+            const soldOut = col.key === "available" && row.available === "Agotado"
+            pdf.text(fitText(row[col.key], col.width - 6, FONT_SIZE), x + 3, top + 10, { size: FONT_SIZE, color: soldOut ? RED : [15, 23, 42] })
+          }
+          x += col.width
+        }
+        top += ROW_HEIGHT
+      })
+    }
+    top += 6
+  }
+
+  // Footers once the page count is known
+  const pages = pdf.pageCount()
+  for (let n = 1; n <= pages; n++) {
+    pdf.usePage(n)
+    const y = A4.height - MARGIN
+    pdf.line(MARGIN, y - 12, MARGIN + width, y - 12, { color: LIGHT })
+    pdf.text(`${company} • Precios sujetos a cambio sin previo aviso`, MARGIN, y, { size: 7.5, color: SLATE })
+    pdf.text(`Página ${n} de ${pages}`, MARGIN + width, y, { size: 7.5, color: SLATE, align: "right" })
+  }
+  return { buffer: pdf.toBuffer(), pages }
+}
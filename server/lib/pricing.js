@@ -0,0 +1,61 @@
+export const PRICE_TIERS = ["detal", "instalador", "mayorista"]
+
+export const CLIENT_TYPE_TIERS = {
+  Particular: "detal",
+  Instalador: "instalador",
+  Empresa: "mayorista",
+  Revendedor: "mayorista"
+}
+
+export function tierForClient(client) {
+  if (!client) return null
+  return CLIENT_TYPE_TIERS[client.tipo] || "detal"
+}
+
+function toPrice(v) {
+  if (v == null || v === "") return null
+  const n = Number(v)
+  return Number.isNaN(n) ? null : n
+}
+
+// Base price of a tier: "detal" is the historic `price` field, other tiers fall back to it
+export function basePriceForTier(product, tier) {
+  const retail = toPrice(product.price)
+  if (!tier || tier === "detal") return retail
+  const prices = product.prices || {}
+  const tierPrice = toPrice(prices[tier])
+  return tierPrice == null ? retail : tierPrice
+}
+
+// Quantity breaks without a tier apply to every logged-in tier
+export function breaksForTier(product, tier) {
+  if (!tier || !Array.isArray(product.priceBreaks)) return []
+  return product.priceBreaks
+    .filter(b => b && (!b.tier || b.tier === tier) && Number(b.minQty) > 1 && toPrice(b.price) != null)
+    .map(b => ({ minQty: Number(b.minQty), price: Number(b.price) }))
+    .sort((a, b) => a.minQty - b.minQty)
+}
+
+export function resolvePrice(product, tier, qty = 1) {
+  const base = basePriceForTier(product, tier)
+  if (base == null) return null
+  let best = base
+  for (const b of breaksForTier(product, tier)) {
+    if (qty >= b.minQty && b.price < best) best = b.price
+  }
+  return best
+}
+
+// Public view of a product: wholesale data is only exposed to the tier it belongs to
+export function priceProductForTier(product, tier) {
+  const { prices, priceBreaks, ...rest } = product
+  if (!tier) return rest
+  const price = basePriceForTier(product, tier)
+  return {
+    ...rest,
+    price,
+    retailPrice: toPrice(product.price),
+    priceTier: tier,
+    priceBreaks: breaksForTier(product, tier)
+  }
+}
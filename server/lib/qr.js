@@ -0,0 +1,366 @@
+import zlib from "zlib"
+
+// Dependency-free QR Code encoder (ISO/IEC 18004, byte mode, versions 1-40) with SVG and PNG output.
+// Follows the reference construction: data codewords -> Reed-Solomon blocks -> placement -> best mask.
+
+const ECL = { L: 0, M: 1, Q: 2, H: 3 }
+const ECL_FORMAT_BITS = [1, 0, 3, 2]
+
+// Indexed by [ecl][version]
+const ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+]
+const NUM_ERROR_CORRECTION_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+]
+
+function getBit(x, i) {
+  return ((x >>> i) & 1) !== 0
+}
+
+function numRawDataModules(ver) {
+  let result = (16 * ver + 128) * ver + 64
+  if (ver >= 2) {
+    const numAlign = Math.floor(ver / 7) + 2
+    result -= (25 * numAlign - 10) * numAlign - 55
+    if (ver >= 7) result -= 36
+  }
+  return result
+}
+
+function numDataCodewords(ver, ecl) {
+  return Math.floor(numRawDataModules(ver) / 8) - ECC_CODEWORDS_PER_BLOCK[ecl][ver] * NUM_ERROR_CORRECTION_BLOCKS[ecl][ver]
+}
+
+// GF(2^8) multiplication modulo x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(x, y) {
+  let z = 0
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d)
+    z ^= ((y >>> i) & 1) * x
+  }
+  return z & 0xff
+}
+
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0)
+  result[degree - 1] = 1
+  let root = 1
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root)
+      if (j + 1 < result.length) result[j] ^= result[j + 1]
+    }
+    root = gfMultiply(root, 0x02)
+  }
+  return result
+}
+
+function reedSolomonRemainder(data, divisor) {
+  const result = divisor.map(() => 0)
+  for (const b of data) {
+    const factor = b ^ result.shift()
+    result.push(0)
+    divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor) })
+  }
+  return result
+}
+
+// Byte-mode bit stream padded to the version's capacity
+function dataCodewords(bytes, ver, ecl) {
+  const bits = []
+  const push = (value, len) => { for (let i = len - 1; i >= 0; i--) bits.push((value >>> i) & 1) }
+  push(0x4, 4)
+  push(bytes.length, ver <= 9 ? 8 : 16)
+  for (const b of bytes) push(b, 8)
+  const capacity = numDataCodewords(ver, ecl) * 8
+  push(0, Math.min(4, capacity - bits.length))
+  push(0, (8 - (bits.length % 8)) % 8)
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) push(pad, 8)
+  const out = []
+  for (let i = 0; i < bits.length; i += 8) out.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0))
+  return out
+}
+
+function addEccAndInterleave(data, ver, ecl) {
+  const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[ecl][ver]
+  const blockEccLen = ECC_CODEWORDS_PER_BLOCK[ecl][ver]
+  const rawCodewords = Math.floor(numRawDataModules(ver) / 8)
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks)
+  const shortBlockLen = Math.floor(rawCodewords / numBlocks)
+  const divisor = reedSolomonDivisor(blockEccLen)
+  const blocks = []
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1))
+    k += dat.length
+    const ecc = reedSolomonRemainder(dat, divisor)
+    if (i < numShortBlocks) dat.push(0)
+    blocks.push(dat.concat(ecc))
+  }
+  const result = []
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // Skip the padding byte of short blocks
+      if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i])
+    })
+  }
+  return result
+}
+
+function alignmentPositions(ver, size) {
+  if (ver === 1) return []
+  const numAlign = Math.floor(ver / 7) + 2
+  const step = ver === 32 ? 26 : Math.ceil((ver * 4 + 4) / (numAlign * 2 - 2)) * 2
+  const result = [6]
+  for (let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos)
+  return result
+}
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+]
+
+class QrMatrix {
+  constructor(ver, ecl) {
+    this.ver = ver
+    this.ecl = ecl
+    this.size = ver * 4 + 17
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false))
+    this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false))
+  }
+
+  setFunction(x, y, dark) {
+    this.modules[y][x] = dark
+    this.isFunction[y][x] = true
+  }
+
+  drawFunctionPatterns() {
+    const { size } = this
+    for (let i = 0; i < size; i++) {
+      this.setFunction(6, i, i % 2 === 0)
+      this.setFunction(i, 6, i % 2 === 0)
+    }
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const dist = Math.max(Math.abs(dx), Math.abs(dy))
+          const x = cx + dx
+          const y = cy + dy
+          if (x >= 0 && x < size && y >= 0 && y < size) this.setFunction(x, y, dist !== 2 && dist !== 4)
+        }
+      }
+    }
+    const align = alignmentPositions(this.ver, size)
+    const n = align.length
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) {
+        // The three corners with finder patterns have no alignment pattern
+        if ((i === 0 && j === 0) || (i === 0 && j === n - 1) || (i === n - 1 && j === 0)) continue
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) this.setFunction(align[i] + dx, align[j] + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1)
+        }
+      }
+    }
+    this.drawFormatBits(0)
+    this.drawVersion()
+  }
+
+  drawFormatBits(mask) {
+    const { size } = this
+    const data = (ECL_FORMAT_BITS[this.ecl] << 3) | mask
+    let rem = data
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537)
+    const bits = ((data << 10) | rem) ^ 0x5412
+    for (let i = 0; i <= 5; i++) this.setFunction(8, i, getBit(bits, i))
+    this.setFunction(8, 7, getBit(bits, 6))
+    this.setFunction(8, 8, getBit(bits, 7))
+    this.setFunction(7, 8, getBit(bits, 8))
+    for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, getBit(bits, i))
+    for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, getBit(bits, i))
+    for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, getBit(bits, i))
+    this.setFunction(8, size - 8, true)
+  }
+
+  drawVersion() {
+    if (this.ver < 7) return
+    let rem = this.ver
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25)
+    const bits = (this.ver << 12) | rem
+    for (let i = 0; i < 18; i++) {
+      const bit = getBit(bits, i)
+      const a = this.size - 11 + (i % 3)
+      const b = Math.floor(i / 3)
+      this.setFunction(a, b, bit)
+      this.setFunction(b, a, bit)
+    }
+  }
+
+  // Zigzag placement in two-module columns from the bottom-right corner
+  drawCodewords(data) {
+    const { size } = this
+    let i = 0
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j
+          const upward = ((right + 1) & 2) === 0
+          const y = upward ? size - 1 - vert : vert
+          if (!this.isFunction[y][x] && i < data.length * 8) {
+            this.modules[y][x] = getBit(data[i >>> 3], 7 - (i & 7))
+            i++
+          }
+        }
+      }
+    }
+  }
+
+  applyMask(mask) {
+    const fn = MASKS[mask]
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.isFunction[y][x] && fn(x, y)) this.modules[y][x] = !this.modules[y][x]
+      }
+    }
+  }
+
+  // Standard penalty rules: long runs, 2x2 blocks, finder-like patterns, dark/light balance
+  penalty() {
+    const { size, modules } = this
+    let score = 0
+    const lines = []
+    for (let y = 0; y < size; y++) lines.push(modules[y])
+    for (let x = 0; x < size; x++) lines.push(modules.map(row => row[x]))
+    for (const line of lines) {
+      let run = 1
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++
+        } else {
+          if (run >= 5) score += 3 + (run - 5)
+          run = 1
+        }
+      }
+      const bits = line.map(m => (m ? "1" : "0")).join("")
+      for (const pattern of ["10111010000", "00001011101"]) {
+        for (let i = bits.indexOf(pattern); i !== -1; i = bits.indexOf(pattern, i + 1)) score += 40
+      }
+    }
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const c = modules[y][x]
+        if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3
+      }
+    }
+    const dark = modules.reduce((n, row) => n + row.filter(Boolean).length, 0)
+    const total = size * size
+    const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1
+    return score + k * 10
+  }
+}
+
+// Returns { size, modules } where modules[y][x] is true for dark
+export function encodeQr(text, { ecl = "M" } = {}) {
+  const level = ECL[ecl] ?? ECL.M
+  const bytes = [...Buffer.from(String(text), "utf-8")]
+  let ver = 1
+  for (; ver <= 40; ver++) {
+    const needed = 4 + (ver <= 9 ? 8 : 16) + bytes.length * 8
+    if (needed <= numDataCodewords(ver, level) * 8) break
+  }
+  if (ver > 40) throw new Error("data_too_long")
+
+  const qr = new QrMatrix(ver, level)
+  qr.drawFunctionPatterns()
+  qr.drawCodewords(addEccAndInterleave(dataCodewords(bytes, ver, level), ver, level))
+  let best = 0
+  let bestScore = Infinity
+  for (let mask = 0; mask < 8; mask++) {
+    qr.applyMask(mask)
+    qr.drawFormatBits(mask)
+    const score = qr.penalty()
+    if (score < bestScore) {
+      best = mask
+      bestScore = score
+    }
+    qr.applyMask(mask)
+  }
+  qr.applyMask(best)
+  qr.drawFormatBits(best)
+  return { size: qr.size, modules: qr.modules }
+}
+
+// `margin` is the quiet zone in modules (the spec asks for 4)
+export function qrSvg(text, { margin = 4, size: pixels = 256, ecl } = {}) {
+  const { size, modules } = encodeQr(text, { ecl })
+  const dim = size + margin * 2
+  let path = ""
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) path += `M${x + margin},${y + margin}h1v1h-1z`
+    }
+  }
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dim} ${dim}" width="${pixels}" height="${pixels}" shape-rendering="crispEdges"><rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+  return c >>> 0
+})
+
+function crc32(buf) {
+  let c = 0xffffffff
+  for (const b of buf) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8)
+  return (c ^ 0xffffffff) >>> 0
+}
+
+function pngChunk(type, data) {
+  const len = Buffer.alloc(4)
+  len.writeUInt32BE(data.length)
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data])
+  const crc = Buffer.alloc(4)
+  crc.writeUInt32BE(crc32(body))
+  return Buffer.concat([len, body, crc])
+}
+
+// 8-bit grayscale PNG, `scale` pixels per module
+export function qrPng(text, { margin = 4, scale = 8, ecl } = {}) {
+  const { size, modules } = encodeQr(text, { ecl })
+  const dim = (size + margin * 2) * scale
+  const raw = Buffer.alloc((dim + 1) * dim, 0xff)
+  for (let py = 0; py < dim; py++) {
+    const rowStart = py * (dim + 1)
+    raw[rowStart] = 0 // filter: none
+    const y = Math.floor(py / scale) - margin
+    if (y < 0 || y >= size) continue
+    for (let px = 0; px < dim; px++) {
+      const x = Math.floor(px / scale) - margin
+      if (x >= 0 && x < size && modules[y][x]) raw[rowStart + 1 + px] = 0
+    }
+  }
+  const ihdr = Buffer.alloc(13)
+  ihdr.writeUInt32BE(dim, 0)
+  ihdr.writeUInt32BE(dim, 4)
+  ihdr[8] = 8 // bit depth
+  ihdr[9] = 0 // grayscale
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", ihdr),
+    pngChunk("IDAT", zlib.deflateSync(raw)),
+    pngChunk("IEND", Buffer.alloc(0))
+  ])
+}
@@ -0,0 +1,65 @@
+// "Se compra junto con": co-purchase counts over the checkout baskets. Variants count as their
+// parent, so every calibre of a cable adds to the same card. A pair needs MIN_PAIR_BASKETS
+// baskets before it is suggested; one order alone is not a habit.
+
+const MIN_PAIR_BASKETS = 2
+
+function groupId(id, byId) {
+  const p = byId.get(id)
+  return p && p.parentId != null ? p.parentId : id
+}
+
+function pairKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`
+}
+
+// { baskets, counts: Map id -> baskets with it, pairs: Map "a|b" -> baskets with both }
+export function buildCoPurchase(baskets, products) {
+  const byId = new Map(products.map(p => [p.id, p]))
+  const counts = new Map()
+  const pairs = new Map()
+  for (const b of baskets) {
+    const ids = [...new Set((b.productIds || []).map(id => groupId(Number(id), byId)))].filter(id => byId.has(id))
+    for (const id of ids) counts.set(id, (counts.get(id) || 0) + 1)
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        const key = pairKey(ids[i], ids[j])
+        pairs.set(key, (pairs.get(key) || 0) + 1)
+      }
+    }
+  }
+  return { baskets: baskets.length, counts, pairs, byId }
+}
+
+// Products bought with any of `ids`, best first. The score adds, for each given product, the share
+// of its baskets that also had the candidate.
+export function relatedIds(model, ids, limit = 4) {
+  const given = new Set(ids.map(id => groupId(Number(id), model.byId)))
+  const scores = new Map()
+  for (const [key, n] of model.pairs) {
+    if (n < MIN_PAIR_BASKETS) continue
+    const [a, b] = key.split("|").map(Number)
+    for (const [from, to] of [[a, b], [b, a]]) {
+      if (!given.has(from) || given.has(to)) continue
+      const s = scores.get(to) || { score: 0, baskets: 0 }
+      s.score += n / model.counts.get(from)
+      s.baskets = Math.max(s.baskets, n)
+      scores.set(to, s)
+    }
+  }
+  return [...scores]
+    .sort((x, y) => y[1].score - x[1].score || y[1].baskets - x[1].baskets || x[0] - y[0])
+    .slice(0, limit)
+    .map(([id]) => id)
+}
+
+// Most frequent pairs, for the panel statistics
+export function topPairs(model, limit = 10) {
+  return [...model.pairs]
+    .sort((x, y) => y[1] - x[1])
+    .slice(0, limit)
+    .map(([key, baskets]) => {
+      const [a, b] = key.split("|").map(Number)
+      return { productIds: [a, b], baskets }
+    })
+}
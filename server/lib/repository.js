@@ -0,0 +1,300 @@
+import crypto from "crypto"
+import { getDb } from "./db.js"
+
+// Repository over the SQLite document tables. Each collection keeps the same plain objects the
+// routes used to read from data/*.json, but every write is a single atomic statement.
+
+function collection(table, { key = "id", orderBy = "rowid" } = {}) {
+  const parse = row => JSON.parse(row.data)
+  const repo = {
+    all() {
+      return getDb().prepare(`SELECT data FROM ${table} ORDER BY ${orderBy}`).all().map(parse)
+    },
+    get(id) {
+      if (id == null || id === "") return null
+      const row = getDb().prepare(`SELECT data FROM ${table} WHERE id = ?`).get(id)
+      return row ? parse(row) : null
+    },
+    find(predicate) {
+      return repo.all().find(predicate) || null
+    },
+    filter(predicate) {
+      return repo.all().filter(predicate)
+    },
+    count() {
+      return getDb().prepare(`SELECT COUNT(*) AS n FROM ${table}`).get().n
+    },
+    // Same rule the JSON files used: highest numeric id + 1
+    nextId() {
+      return getDb().prepare(`SELECT COALESCE(MAX(id), 0) + 1 AS next FROM ${table}`).get().next
+    },
+    save(item) {
+      getDb()
+        .prepare(`INSERT INTO ${table} (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data`)
+        .run(item[key], JSON.stringify(item))
+      return item
+    },
+    insert(item) {
+      if (item[key] == null || item[key] === "") item[key] = repo.nextId()
+      return repo.save(item)
+    },
+    saveMany(items) {
+      transaction(() => items.forEach(repo.insert))
+      return items
+    },
+    remove(id) {
+      return getDb().prepare(`DELETE FROM ${table} WHERE id = ?`).run(id).changes > 0
+    },
+    removeWhere(predicate) {
+      const doomed = repo.filter(predicate)
+      transaction(() => doomed.forEach(item => repo.remove(item[key])))
+      return doomed.length
+    },
+    replaceAll(items) {
+      transaction(() => {
+        getDb().prepare(`DELETE FROM ${table}`).run()
+        items.forEach(repo.insert)
+      })
+      return items
+    }
+  }
+  return repo
+}
+
+// Runs fn inside one SQLite transaction; nested calls become savepoints
+export function transaction(fn) {
+  return getDb().transaction(fn)()
+}
+
+export const products = collection("products")
+export const clients = collection("clients")
+export const campaigns = collection("campaigns", { orderBy: "json_extract(data, '$.date') DESC" })
+export const catalogs = collection("catalogs")
+export const orders = collection("orders")
+export const stockMovements = collection("stock_movements")
+export const portalSessions = collection("portal_sessions", { key: "tokenHash" })
+export const campaignTemplates = collection("campaign_templates")
+export const segments = collection("segments")
+export const adminUsers = collection("admin_users")
+export const adminSessions = collection("admin_sessions", { key: "tokenHash" })
+export const assistantConversations = collection("assistant_conversations")
+export const baskets = collection("baskets")
+export const priceLists = collection("price_lists")
+export const priceAdjustments = collection("price_adjustments")
+export const priceHistory = collection("price_history")
+export const exchangeRates = collection("exchange_rates")
+export const media = collection("media")
+
+// Per-recipient send queue of email campaigns (pending / sent / failed / skipped)
+function recipientRow(row) {
+  return {
+    id: row.id,
+    campaignId: row.campaign_id,
+    email: row.email,
+    status: row.status,
+    attempts: row.attempts,
+    error: row.error || "",
+    nextAttemptAt: row.next_attempt_at,
+    lastAttemptAt: row.last_attempt_at,
+    sentAt: row.sent_at
+  }
+}
+
+export const campaignRecipients = {
+  // Duplicated addresses in the same campaign are ignored; returns how many were queued
+  enqueue(campaignId, emails, status = "pending") {
+    const stmt = getDb().prepare("INSERT OR IGNORE INTO campaign_recipients (campaign_id, email, status) VALUES (?, ?, ?)")
+    return transaction(() => emails.reduce((n, email) => n + stmt.run(campaignId, email, status).changes, 0))
+  },
+  get(id) {
+    const row = getDb().prepare("SELECT * FROM campaign_recipients WHERE id = ?").get(id)
+    return row ? recipientRow(row) : null
+  },
+  list(campaignId) {
+    return getDb().prepare("SELECT * FROM campaign_recipients WHERE campaign_id = ? ORDER BY id").all(campaignId).map(recipientRow)
+  },
+  counts(campaignId) {
+    const out = { pending: 0, sent: 0, failed: 0, skipped: 0 }
+    const rows = getDb().prepare("SELECT status, COUNT(*) AS n FROM campaign_recipients WHERE campaign_id = ? GROUP BY status").all(campaignId)
+    for (const row of rows) out[row.status] = row.n
+    return out
+  },
+  // Oldest pending recipient whose retry time has come, among the given campaigns
+  nextDue(campaignIds, now) {
+    if (!campaignIds.length) return null
+    const row = getDb()
+      .prepare(`
+        SELECT * FROM campaign_recipients
+        WHERE status = 'pending' AND campaign_id IN (${campaignIds.map(() => "?").join(", ")})
+          AND (next_attempt_at IS NULL OR next_attempt_at <= ?)
+        ORDER BY id LIMIT 1
+      `)
+      .get(...campaignIds, now)
+    return row ? recipientRow(row) : null
+  },
+  attemptsSince(since) {
+    return getDb().prepare("SELECT COUNT(*) AS n FROM campaign_recipients WHERE last_attempt_at >= ?").get(since).n
+  },
+  lastAttemptAt() {
+    return getDb().prepare("SELECT MAX(last_attempt_at) AS at FROM campaign_recipients").get().at
+  },
+  markSent(id, at) {
+    getDb()
+      .prepare("UPDATE campaign_recipients SET status = 'sent', attempts = attempts + 1, error = NULL, next_attempt_at = NULL, last_attempt_at = ?, sent_at = ? WHERE id = ?")
+      .run(at, at, id)
+  },
+  // Unsubscribed after the campaign was queued
+  markSkipped(id, reason) {
+    getDb().prepare("UPDATE campaign_recipients SET status = 'skipped', error = ?, next_attempt_at = NULL WHERE id = ?").run(reason, id)
+  },
+  // nextAttemptAt null means no more retries: the recipient is marked failed
+  markFailedAttempt(id, error, at, nextAttemptAt) {
+    getDb()
+      .prepare("UPDATE campaign_recipients SET status = ?, attempts = attempts + 1, error = ?, next_attempt_at = ?, last_attempt_at = ? WHERE id = ?")
+      .run(nextAttemptAt ? "pending" : "failed", error, nextAttemptAt, at, id)
+  }
+}
+
+// Campaign interaction log: open / click / scan / register
+function eventRow(row) {
+  return {
+    id: row.id,
+    campaignId: row.campaign_id,
+    recipientId: row.recipient_id,
+    email: row.email,
+    type: row.type,
+    userAgent: row.user_agent || "",
+    source: row.source || "",
+    createdAt: row.created_at
+  }
+}
+
+export const campaignEvents = {
+  add({ campaignId, recipientId = null, email = null, type, userAgent = "", source = "" }) {
+    const createdAt = new Date().toISOString()
+    const id = getDb()
+      .prepare("INSERT INTO campaign_events (campaign_id, recipient_id, email, type, user_agent, source, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)")
+      .run(campaignId, recipientId, email, type, String(userAgent || "").slice(0, 300), source || null, createdAt).lastInsertRowid
+    return { id, campaignId, recipientId, email, type, userAgent, source, createdAt }
+  },
+  list(campaignId) {
+    return getDb().prepare("SELECT * FROM campaign_events WHERE campaign_id = ? ORDER BY created_at, id").all(campaignId).map(eventRow)
+  },
+  // Lowercased email -> time of its latest open, click or registration in any campaign
+  lastActivityByEmail() {
+    const rows = getDb()
+      .prepare("SELECT lower(email) AS email, MAX(created_at) AS at FROM campaign_events WHERE email IS NOT NULL AND type IN ('open', 'click', 'register') GROUP BY lower(email)")
+      .all()
+    return new Map(rows.map(r => [r.email, r.at]))
+  }
+}
+
+// Addresses that opted out of campaigns; emails are stored lowercased
+function suppressionRow(row) {
+  return { email: row.email, reason: row.reason, source: row.source, campaignId: row.campaign_id, createdAt: row.created_at }
+}
+
+export const suppressions = {
+  all() {
+    return getDb().prepare("SELECT * FROM suppressions ORDER BY created_at DESC").all().map(suppressionRow)
+  },
+  get(email) {
+    const row = getDb().prepare("SELECT * FROM suppressions WHERE email = ?").get(String(email || "").toLowerCase())
+    return row ? suppressionRow(row) : null
+  },
+  has(email) {
+    return !!suppressions.get(email)
+  },
+  // Re-adding an address updates the reason but keeps the original date
+  add({ email, reason = "", source = "", campaignId = null }) {
+    const entry = { email: String(email || "").trim().toLowerCase(), reason, source, campaignId, createdAt: new Date().toISOString() }
+    getDb()
+      .prepare(`
+        INSERT INTO suppressions (email, reason, source, campaign_id, created_at) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(email) DO UPDATE SET reason = excluded.reason, source = excluded.source, campaign_id = COALESCE(excluded.campaign_id, campaign_id)
+      `)
+      .run(entry.email, entry.reason, entry.source, entry.campaignId, entry.createdAt)
+    return suppressions.get(entry.email)
+  },
+  remove(email) {
+    return getDb().prepare("DELETE FROM suppressions WHERE email = ?").run(String(email || "").toLowerCase()).changes > 0
+  }
+}
+
+// Random values generated on first use and kept in the database
+export const secrets = {
+  get(name) {
+    const row = getDb().prepare("SELECT value FROM secrets WHERE name = ?").get(name)
+    if (row) return row.value
+    const value = crypto.randomBytes(32).toString("hex")
+    getDb().prepare("INSERT OR IGNORE INTO secrets (name, value) VALUES (?, ?)").run(name, value)
+    return secrets.get(name)
+  }
+}
+
+// Site settings, one row per top-level key
+export const config = {
+  get() {
+    const out = {}
+    for (const row of getDb().prepare("SELECT key, value FROM config").all()) out[row.key] = JSON.parse(row.value)
+    return out
+  },
+  merge(values) {
+    const stmt = getDb().prepare("INSERT INTO config (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value")
+    transaction(() => {
+      for (const [k, v] of Object.entries(values || {})) stmt.run(k, JSON.stringify(v ?? null))
+    })
+    return config.get()
+  }
+}
+
+// Audit trail; rows are only ever inserted
+function auditRow(row) {
+  return {
+    id: row.id,
+    actor: row.actor,
+    action: row.action,
+    entity: row.entity,
+    entityId: row.entity_id,
+    changes: JSON.parse(row.changes),
+    before: row.before ? JSON.parse(row.before) : null,
+    after: row.after ? JSON.parse(row.after) : null,
+    createdAt: row.created_at
+  }
+}
+
+export const auditLog = {
+  add({ actor, action, entity, entityId = null, changes = [], before = null, after = null }) {
+    const createdAt = new Date().toISOString()
+    const id = getDb()
+      .prepare("INSERT INTO audit_log (actor, action, entity, entity_id, changes, before, after, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)")
+      .run(actor, action, entity, entityId == null ? null : String(entityId), JSON.stringify(changes),
+        before == null ? null : JSON.stringify(before), after == null ? null : JSON.stringify(after), createdAt).lastInsertRowid
+    return auditLog.get(id)
+  },
+  get(id) {
+    const row = getDb().prepare("SELECT * FROM audit_log WHERE id = ?").get(id)
+    return row ? auditRow(row) : null
+  },
+  // Newest first; every filter is optional. Returns the page and the total that matched.
+  list({ entity, entityId, actor, action, from, to, limit = 50, offset = 0 } = {}) {
+    const where = []
+    const params = []
+    if (entity) { where.push("entity = ?"); params.push(entity) }
+    if (entityId) { where.push("entity_id = ?"); params.push(String(entityId)) }
+    if (actor) { where.push("actor = ?"); params.push(actor) }
+    if (action) { where.push("action = ?"); params.push(action) }
+    if (from) { where.push("created_at >= ?"); params.push(from) }
+    if (to) { where.push("substr(created_at, 1, 10) <= ?"); params.push(to) }
+    const clause = where.length ? `WHERE ${where.join(" AND ")}` : ""
+    const total = getDb().prepare(`SELECT COUNT(*) AS n FROM audit_log ${clause}`).get(...params).n
+    const items = getDb()
+      .prepare(`SELECT * FROM audit_log ${clause} ORDER BY id DESC LIMIT ? OFFSET ?`)
+      .all(...params, limit, offset)
+      .map(auditRow)
+    return { total, items }
+  },
+  actors() {
+    return getDb().prepare("SELECT DISTINCT actor FROM audit_log ORDER BY actor").all().map(r => r.actor)
+  }
+}
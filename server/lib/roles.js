@@ -0,0 +1,37 @@
+// Admin roles and what each one may do. Routes declare a permission, never a role, so a new
+// role only needs an entry here.
+
+export const PERMISSIONS = {
+  "products.read": "Ver productos con todos los precios",
+  "products.write": "Crear, editar e importar productos y precios",
+  "stock.read": "Ver stock y movimientos",
+  "stock.write": "Registrar movimientos de stock",
+  "clients.read": "Ver clientes",
+  "clients.write": "Editar clientes y aprobar el portal mayorista",
+  "orders.read": "Ver pedidos",
+  "orders.write": "Cambiar el estado de los pedidos",
+  "catalogs.read": "Ver catálogos para descarga",
+  "catalogs.write": "Publicar y quitar catálogos",
+  "campaigns.manage": "Campañas, plantillas, segmentos, bajas y QR",
+  "config.write": "Configuración del sitio, logo y SMTP",
+  "files.upload": "Subir archivos (imágenes y PDF)",
+  "files.manage": "Biblioteca de archivos: ver dónde se usan y borrar los que sobran",
+  "users.manage": "Administrar usuarios del panel",
+  "audit.read": "Ver el historial de cambios"
+}
+
+export const ROLES = {
+  administrador: { label: "Administrador", permissions: Object.keys(PERMISSIONS) },
+  vendedor: {
+    label: "Vendedor",
+    permissions: ["products.read", "stock.read", "clients.read", "orders.read", "orders.write", "catalogs.read"]
+  }
+}
+
+export function roleAllows(role, permission) {
+  return !!ROLES[role] && ROLES[role].permissions.includes(permission)
+}
+
+export function rolePermissions(role) {
+  return ROLES[role] ? [...ROLES[role].permissions] : []
+}
@@ -0,0 +1,235 @@
+import { SYNONYM_GROUPS } from "./synonyms.js"
+
+// Catalog search: accent-insensitive, plural-insensitive, synonym-aware and tolerant to one or two
+// typos. Products are scored per query word and every word has to match somewhere.
+
+export const SEARCH_FACETS = ["category", "subcategory", "brand", "material", "available"]
+export const SEARCH_SORTS = ["relevance", "name", "price_asc", "price_desc"]
+
+// Where a word is found matters more than how often: a hit in the name beats one in the specs
+const FIELD_WEIGHTS = [
+  ["name", 5],
+  ["code", 4],
+  ["sku", 4],
+  ["brand", 4],
+  ["subcategory", 2],
+  ["category", 2],
+  ["material", 2],
+  ["desc", 1],
+  ["specs", 1]
+]
+// Connectors that would otherwise have to appear in the product ("llave para paso")
+const STOPWORDS = new Set(["a", "al", "con", "de", "del", "el", "en", "la", "las", "lo", "los", "para", "por", "y", "un", "una"])
+// How a word matched, relative to an exact hit
+const MATCH_WEIGHTS = { exact: 1, synonym: 0.8, prefix: 0.6, typo: 0.5 }
+
+// "Lámpara" and "lampara", "TUBO" and "tubo" are the same word
+export function foldText(value) {
+  return String(value ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+}
+
+// Same idea as the landing page's wordVariants, reduced to one form per word so both sides of
+// the comparison meet: luces/luz -> luz, llaves/llave -> llav, tubos/tubo -> tubo
+export function stemWord(word) {
+  let w = String(word || "")
+  if (w.length <= 3 || /^\d/.test(w)) return w
+  if (w.endsWith("ces")) return w.slice(0, -3) + "z"
+  if (w.endsWith("s")) w = w.slice(0, -1)
+  if (w.length > 3 && w.endsWith("e") && !/[aeiou]/.test(w[w.length - 2])) w = w.slice(0, -1)
+  return w
+}
+
+export function tokenize(value) {
+  return foldText(value).split(" ").filter(Boolean).map(stemWord)
+}
+
+// Words of a typed query, without connectors
+export function queryWords(value) {
+  return foldText(value).split(" ").filter(w => w && !STOPWORDS.has(w)).map(stemWord)
+}
+
+// Stem -> every stem of its synonym group
+const SYNONYMS = new Map()
+for (const group of SYNONYM_GROUPS) {
+  const stems = [...new Set(group.map(w => stemWord(foldText(w))))]
+  for (const s of stems) SYNONYMS.set(s, [...new Set([...(SYNONYMS.get(s) || []), ...stems.filter(x => x !== s)])])
+}
+
+// Optimal string alignment distance, stopping early once it exceeds max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1
+  let prev2 = null
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i]
+    let best = i
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost)
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, prev2[j - 2] + 1)
+      row.push(d)
+      best = Math.min(best, d)
+    }
+    if (best > max) return max + 1
+    prev2 = prev
+    prev = row
+  }
+  return prev[b.length]
+}
+
+function typoBudget(word) {
+  if (word.length >= 8) return 2
+  if (word.length >= 4) return 1
+  return 0
+}
+
+function fieldText(product, field) {
+  const value = product[field]
+  return Array.isArray(value) ? value.join(" ") : value
+}
+
+// Cards with variants are also found by a variant's code, SKU or option ("rojo", "#12")
+const VARIANT_WEIGHT = 4
+
+function variantText(product) {
+  return (product.variants || []).map(v => [v.code, v.sku, ...Object.values(v.variantOptions || {})].join(" ")).join(" ")
+}
+
+function indexProduct(product) {
+  const index = FIELD_WEIGHTS.map(([field, weight]) => ({ weight, tokens: new Set(tokenize(fieldText(product, field))) }))
+  if (product.variants?.length) index.push({ weight: VARIANT_WEIGHT, tokens: new Set(tokenize(variantText(product))) })
+  return index
+}
+
+// Best score of one query word in a product; 0 when it is not found at all
+function wordScore(word, index, { prefix }) {
+  const synonyms = SYNONYMS.get(word) || []
+  const budget = typoBudget(word)
+  let best = 0
+  for (const { weight, tokens } of index) {
+    let kind = null
+    if (tokens.has(word)) kind = "exact"
+    else if (synonyms.some(s => tokens.has(s))) kind = "synonym"
+    else {
+      for (const t of tokens) {
+        if (prefix && word.length >= 2 && t.startsWith(word)) { kind = "prefix"; break }
+        if (budget && editDistance(word, t, budget) <= budget) kind = "typo"
+      }
+    }
+    if (kind) best = Math.max(best, weight * MATCH_WEIGHTS[kind])
+  }
+  return best
+}
+
+// Relevance of a product for the query words, or 0 if some word is missing
+export function scoreProduct(product, words, index = indexProduct(product)) {
+  let total = 0
+  for (let i = 0; i < words.length; i++) {
+    // The last word may still be being typed
+    const score = wordScore(words[i], index, { prefix: i === words.length - 1 })
+    if (!score) return 0
+    total += score
+  }
+  // A code or SKU typed in full goes first
+  const whole = foldText(words.join(" "))
+  const codes = [product.code, product.sku, ...(product.variants || []).flatMap(v => [v.code, v.sku])]
+  if (whole && codes.some(v => foldText(v) === whole)) total += 20
+  return total
+}
+
+// Loose ranking for free text ("necesito algo para la luz del baño"): every matching word adds up
+// and words that match nothing are ignored. `boost(product)` adds to the score of a match.
+export function rankProducts(products, text, { limit = 4, availableOnly = false, boost } = {}) {
+  const words = queryWords(text)
+  const ranked = []
+  for (const product of products) {
+    if (availableOnly && product.available && product.available !== "Disponible") continue
+    const index = indexProduct(product)
+    let score = 0
+    for (const w of words) score += wordScore(w, index, { prefix: false })
+    if (score > 0 && boost) score += boost(product)
+    if (score > 0) ranked.push({ product, score })
+  }
+  ranked.sort((a, b) => b.score - a.score || byName(a, b))
+  return ranked.slice(0, limit).map(r => r.product)
+}
+
+function listParam(value) {
+  const list = Array.isArray(value) ? value : String(value ?? "").split(",")
+  return list.map(v => String(v).trim()).filter(Boolean)
+}
+
+// Facet filters from a query string: ?brand=Aqua,Lumina&category=Electricidad
+export function searchFilters(query) {
+  const out = {}
+  for (const f of SEARCH_FACETS) {
+    const values = listParam(query?.[f])
+    if (values.length) out[f] = values
+  }
+  return out
+}
+
+function matchesFilters(product, filters, skip) {
+  return Object.entries(filters).every(([f, values]) => f === skip || values.some(v => foldText(v) === foldText(product[f])))
+}
+
+// Counts per value; each facet ignores its own filter so the other options stay visible
+function facetCounts(hits, filters) {
+  const facets = {}
+  for (const f of SEARCH_FACETS) {
+    const counts = new Map()
+    for (const { product } of hits) {
+      const value = String(product[f] ?? "").trim()
+      if (!value || !matchesFilters(product, filters, f)) continue
+      counts.set(value, (counts.get(value) || 0) + 1)
+    }
+    facets[f] = [...counts]
+      .map(([value, count]) => ({ value, count, selected: (filters[f] || []).some(v => foldText(v) === foldText(value)) }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value, "es"))
+  }
+  return facets
+}
+
+function byName(a, b) {
+  return String(a.product.name || "").localeCompare(String(b.product.name || ""), "es")
+}
+
+const SORTERS = {
+  relevance: (a, b) => b.score - a.score || (a.product.available === "Agotado") - (b.product.available === "Agotado") || byName(a, b),
+  name: byName,
+  price_asc: (a, b) => (a.product.price ?? Infinity) - (b.product.price ?? Infinity) || byName(a, b),
+  price_desc: (a, b) => (b.product.price ?? -Infinity) - (a.product.price ?? -Infinity) || byName(a, b)
+}
+
+// Searches the given products. Returns one page of products plus facet counts for the whole result.
+export function searchProducts(products, { q = "", filters = {}, sort = "relevance", page = 1, pageSize = 24 } = {}) {
+  const words = queryWords(q)
+  const hits = []
+  for (const product of products) {
+    const score = words.length ? scoreProduct(product, words) : 0
+    if (words.length && !score) continue
+    hits.push({ product, score })
+  }
+  const facets = facetCounts(hits, filters)
+  const matched = hits.filter(h => matchesFilters(h.product, filters))
+  const order = SEARCH_SORTS.includes(sort) ? sort : "relevance"
+  matched.sort(SORTERS[order === "relevance" && !words.length ? "name" : order])
+  const pages = Math.max(1, Math.ceil(matched.length / pageSize))
+  const current = Math.min(Math.max(1, page), pages)
+  const slice = matched.slice((current - 1) * pageSize, current * pageSize)
+  return {
+    q,
+    total: matched.length,
+    page: current,
+    pageSize,
+    pages,
+    sort: order,
+    items: slice.map(h => h.product),
+    facets
+  }
+}
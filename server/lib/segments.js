@@ -0,0 +1,127 @@
+import * as repo from "./repository.js"
+import { campaignAudience, normalizeEmails } from "./campaigns.js"
+
+// Saved campaign audiences. A segment stores filters, never a list of clients: recipients are
+// resolved again every time it is counted, previewed or sent to.
+
+export const SEGMENT_CAMPAIGN_ACTIONS = ["received", "opened", "clicked", "registered"]
+export const SEGMENT_ORDER_FILTERS = ["any", "none", "some"]
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+function textList(value) {
+  const list = Array.isArray(value) ? value : String(value || "").split(",")
+  return [...new Set(list.map(v => String(v || "").trim()).filter(Boolean))]
+}
+
+function sameText(a, b) {
+  return String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase()
+}
+
+// Cleans filters from the admin; unknown keys are dropped and empty ones mean "no filter"
+export function segmentFilters(input) {
+  const f = input || {}
+  const campaignId = String(f.campaign?.id || "").trim()
+  const inactiveDays = parseInt(f.inactiveDays, 10)
+  return {
+    tipos: textList(f.tipos),
+    zonas: textList(f.zonas),
+    campaign: campaignId
+      ? { id: campaignId, action: SEGMENT_CAMPAIGN_ACTIONS.includes(f.campaign.action) ? f.campaign.action : "received" }
+      : null,
+    orders: SEGMENT_ORDER_FILTERS.includes(f.orders) ? f.orders : "any",
+    inactiveDays: inactiveDays > 0 ? inactiveDays : null
+  }
+}
+
+// Editable fields of a stored segment; returns null when the name is missing
+export function segmentFields(body) {
+  const name = String(body?.name || "").trim()
+  if (!name) return null
+  return { name, description: String(body.description || "").trim(), filters: segmentFilters(body.filters) }
+}
+
+// Orders of a client: portal orders by id, checkout orders by email or cédula.
+// Older clients only have the `pedidos` counter, so the larger of both is used.
+function orderStats(clients) {
+  const orders = repo.orders.all()
+  const out = new Map()
+  for (const c of clients) {
+    const email = String(c.email || "").trim().toLowerCase()
+    const cedula = String(c.cedula || "").trim()
+    const mine = orders.filter(o =>
+      (o.portalClientId != null && o.portalClientId === c.id) ||
+      (email && String(o.customer?.email || "").trim().toLowerCase() === email) ||
+      (cedula && String(o.customer?.cedula || "").trim() === cedula)
+    )
+    const counter = typeof c.pedidos === "number" ? c.pedidos : 0
+    out.set(c.id, {
+      count: Math.max(counter, mine.length),
+      lastAt: mine.reduce((max, o) => (o.createdAt > max ? o.createdAt : max), "")
+    })
+  }
+  return out
+}
+
+// Latest sign of life: signup, an order, or an open / click / registration in any campaign
+function lastActivity(client, orders, activity) {
+  const email = String(client.email || "").trim().toLowerCase()
+  return [client.created_at, orders.lastAt, email ? activity.get(email) : null]
+    .filter(Boolean)
+    .reduce((max, at) => (at > max ? at : max), "")
+}
+
+// Clients matching the filters and the deduplicated addresses to send to
+export function resolveSegment(filters, { now = Date.now() } = {}) {
+  const f = segmentFilters(filters)
+  let clients = repo.clients.all()
+
+  if (f.tipos.length) clients = clients.filter(c => f.tipos.some(t => sameText(t, c.tipo)))
+  if (f.zonas.length) clients = clients.filter(c => f.zonas.some(z => sameText(z, c.zona)))
+
+  if (f.campaign) {
+    const campaign = repo.campaigns.get(f.campaign.id)
+    const emails = campaign ? campaignAudience(campaign)[f.campaign.action] : new Set()
+    clients = clients.filter(c =>
+      emails.has(String(c.email || "").trim().toLowerCase()) ||
+      // Signups from before the event log are only linked through client.campaigns
+      (f.campaign.action === "registered" && (c.campaigns || []).includes(f.campaign.id))
+    )
+  }
+
+  if (f.orders !== "any" || f.inactiveDays) {
+    const orders = orderStats(clients)
+    if (f.orders === "none") clients = clients.filter(c => orders.get(c.id).count === 0)
+    if (f.orders === "some") clients = clients.filter(c => orders.get(c.id).count > 0)
+    if (f.inactiveDays) {
+      const since = new Date(now - f.inactiveDays * DAY_MS).toISOString()
+      const activity = repo.campaignEvents.lastActivityByEmail()
+      clients = clients.filter(c => lastActivity(c, orders.get(c.id), activity) < since)
+    }
+  }
+
+  const emails = normalizeEmails(clients.map(c => c.email))
+  return {
+    clients,
+    emails,
+    withoutEmail: clients.filter(c => !String(c.email || "").includes("@")).length
+  }
+}
+
+// Count plus a few matching clients, for the segment editor and the campaign form
+export function segmentPreview(filters, { limit = 20 } = {}) {
+  const { clients, emails, withoutEmail } = resolveSegment(filters)
+  return {
+    count: emails.length,
+    clients: clients.length,
+    withoutEmail,
+    sample: clients.slice(0, limit).map(c => ({
+      id: c.id,
+      nombre: c.nombre || "",
+      apellido: c.apellido || "",
+      email: c.email || "",
+      tipo: c.tipo || "",
+      zona: c.zona || ""
+    }))
+  }
+}
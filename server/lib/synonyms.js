@@ -0,0 +1,18 @@
+// Words customers use for the same thing. Each line is one group of single words: searching any
+// word of a group also finds products named with the others. Write them in lowercase, singular
+// and without accents; plurals and accents are handled by the search itself.
+export const SYNONYM_GROUPS = [
+  ["bombillo", "bombilla", "foco", "lampara", "ampolleta", "bulbo"],
+  ["llave", "grifo", "canilla", "valvula"],
+  ["tubo", "tuberia", "cano", "caneria"],
+  ["cable", "conductor", "alambre"],
+  ["interruptor", "apagador", "suiche", "switch"],
+  ["tomacorriente", "enchufe", "toma"],
+  ["breaker", "disyuntor", "termomagnetico", "brequer"],
+  ["cinta", "teipe", "tape"],
+  ["pegamento", "pega", "adhesivo", "cola"],
+  ["destornillador", "desarmador", "atornillador"],
+  ["regleta", "zapatilla", "extension", "alargue"],
+  ["lavamanos", "lavabo", "lavatorio"],
+  ["poceta", "inodoro", "excusado", "water"]
+]
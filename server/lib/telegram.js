@@ -1,39 +1,132 @@
+import crypto from "crypto"
 import fetch from "node-fetch"
+import { formatDual, formatMoney, orderCurrency, rateText, storeCurrency } from "./currency.js"
 
-export async function sendAdminNotification({ name, email, phone, service, datetime, appointmentId }) {
-  const token = process.env.TELEGRAM_BOT_TOKEN || ""
-  const chatId = process.env.TELEGRAM_CHAT_ID || ""
-  if (!token || !chatId) return
-  const dateStr = new Date(datetime).toLocaleString("es-ES")
-  const text = [
-    "Nueva solicitud:",
-    `Cliente: ${name}`,
-    `Email: ${email}`,
-    `Teléfono: ${phone}`,
-    `Servicio: ${service}`,
-    `Fecha/Hora: ${dateStr}`,
-    `ID cita: ${appointmentId}`,
-    "Acciones: /aceptar ID o /rechazar ID"
-  ].join("\n")
-  await sendText(chatId, text)
+// Telegram bot for the store's admin chat: notices of new orders, portal registrations and
+// download-form leads, plus a few order and stock commands answered from the same chat.
+// TELEGRAM_API_URL points the bot to another server (a local fake while testing).
+
+export const TELEGRAM_HELP = [
+  "Comandos disponibles:",
+  "/aceptar ID - confirma el pedido",
+  "/rechazar ID - cancela el pedido y devuelve el stock",
+  "/stock CÓDIGO N - fija el stock contado del producto (+N suma una entrada)",
+  "/pedidos hoy - pedidos del día (o /pedidos AAAA-MM-DD)"
+].join("\n")
+
+function apiUrl(method) {
+  const base = String(process.env.TELEGRAM_API_URL || "https://api.telegram.org").replace(/\/+$/, "")
+  return `${base}/bot${process.env.TELEGRAM_BOT_TOKEN}/${method}`
+}
+
+export function telegramConfigured() {
+  return Boolean(process.env.TELEGRAM_BOT_TOKEN && process.env.TELEGRAM_CHAT_ID)
 }
 
 export async function sendText(chatId, text) {
   const token = process.env.TELEGRAM_BOT_TOKEN || ""
   if (!token || !chatId) return
-  const url = `https://api.telegram.org/bot${token}/sendMessage`
-  await fetch(url, {
+  const res = await fetch(apiUrl("sendMessage"), {
     method: "POST",
     headers: { "Content-Type": "application/json" },
     body: JSON.stringify({ chat_id: chatId, text })
   })
+  if (!res.ok) throw new Error(`telegram_http_${res.status}`)
 }
 
+// Fire and forget: a notice that fails must never break the request that caused it
+export function notifyAdmin(text) {
+  if (!telegramConfigured()) return
+  sendText(process.env.TELEGRAM_CHAT_ID, text).catch(err => console.error("Telegram:", err.message))
+}
+
+// Telegram echoes the secret given to setWebhook in X-Telegram-Bot-Api-Secret-Token
+export function validWebhookSecret(header, secret) {
+  if (!header || !secret) return false
+  const a = Buffer.from(String(header))
+  const b = Buffer.from(String(secret))
+  return a.length === b.length && crypto.timingSafeEqual(a, b)
+}
+
+// Commands may come as "/aceptar@MiBot 12" when the bot is in a group
 export function parseCommand(text) {
-  const t = String(text || "").trim()
+  const t = String(text || "").trim().replace(/^(\/\w+)@\w+/, "$1")
   let m = t.match(/^\/aceptar\s+(\d+)/i)
   if (m) return { action: "accept", id: Number(m[1]) }
   m = t.match(/^\/rechazar\s+(\d+)/i)
   if (m) return { action: "reject", id: Number(m[1]) }
+  m = t.match(/^\/stock\s+(\S+)\s+(\+?)(\d+)\s*$/i)
+  if (m) return { action: "stock", code: m[1], add: m[2] === "+", qty: Number(m[3]) }
+  m = t.match(/^\/pedidos(?:\s+(hoy|\d{4}-\d{2}-\d{2}))?\s*$/i)
+  if (m) return { action: "orders", date: !m[1] || m[1].toLowerCase() === "hoy" ? "" : m[1] }
+  if (/^\/(start|ayuda|help)\b/i.test(t)) return { action: "help" }
   return null
 }
+
+// Store timezone for "today" in /pedidos; config.timeZone overrides it
+export const DEFAULT_TIME_ZONE = "America/Caracas"
+
+// "2026-10-19" for an instant as seen in the store, so an order at 22:00 local time is not filed
+// under the next (UTC) day
+export function storeDay(value, timeZone = DEFAULT_TIME_ZONE) {
+  const format = zone => new Intl.DateTimeFormat("en-CA", { timeZone: zone, year: "numeric", month: "2-digit", day: "2-digit" })
+  let fmt
+  try {
+    fmt = format(timeZone || DEFAULT_TIME_ZONE)
+  } catch {
+    fmt = format(DEFAULT_TIME_ZONE)
+  }
+  return fmt.format(new Date(value))
+}
+
+// Both amounts at the rate the order was saved with
+function money(value, order) {
+  return formatDual(Number(value || 0), orderCurrency(order))
+}
+
+export function orderNotice(order) {
+  const c = order.customer || {}
+  const rate = rateText(orderCurrency(order))
+  return [
+    `Nuevo pedido N° ${order.id}${order.channel === "whatsapp" ? " (WhatsApp)" : ""}`,
+    `Cliente: ${[c.nombre, c.apellido].filter(Boolean).join(" ") || "sin nombre"}${c.celular ? ` - ${c.celular}` : ""}`,
+    ...order.items.map(l => `• ${l.qty} x ${l.name}${l.subtotal == null ? " (a cotizar)" : ` - ${money(l.subtotal, order)}`}`),
+    `Total: ${money(order.total, order)}${order.hasQuoteItems ? " + ítems a cotizar" : ""}`,
+    ...(rate ? [rate] : []),
+    `Responde /aceptar ${order.id} o /rechazar ${order.id}`
+  ].join("\n")
+}
+
+export function registrationNotice(client) {
+  return [
+    "Nueva solicitud de acceso al portal mayorista",
+    `Cliente: ${[client.nombre, client.apellido].filter(Boolean).join(" ")}`,
+    `Email: ${client.email}`,
+    `Celular: ${client.celular || "-"}`,
+    client.zona ? `Zona: ${client.zona}` : "",
+    "Apruébala desde el panel, en Solicitudes del portal."
+  ].filter(Boolean).join("\n")
+}
+
+export function leadNotice(client, campaign) {
+  return [
+    "Nuevo contacto desde el formulario de descarga",
+    campaign ? `Campaña: ${campaign.subject || campaign.id}` : "",
+    `Nombre: ${[client.nombre, client.apellido].filter(Boolean).join(" ")}`,
+    `Email: ${client.email}`,
+    client.celular ? `Celular: ${client.celular}` : "",
+    client.tipo ? `Tipo: ${client.tipo}` : ""
+  ].filter(Boolean).join("\n")
+}
+
+export function ordersDigest(orders, date) {
+  if (!orders.length) return `No hay pedidos del ${date}.`
+  const total = orders.filter(o => o.status !== "cancelado").reduce((acc, o) => acc + (o.total || 0), 0)
+  // Each order at its own rate; the day's total only in the primary currency, since rates differ
+  const currency = storeCurrency()
+  return [
+    `Pedidos del ${date}: ${orders.length}`,
+    ...orders.map(o => `N° ${o.id} - ${o.customer?.nombre || "sin nombre"} - ${money(o.total, o)} - ${o.status}`),
+    `Total (sin cancelados): ${formatMoney(total, currency.primary, currency)}`
+  ].join("\n")
+}
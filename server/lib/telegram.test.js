@@ -0,0 +1,14 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { storeDay } from "./telegram.js"
+
+test("an order late in the evening belongs to the store's day, not the UTC one", () => {
+  assert.equal(storeDay("2026-10-20T01:30:00.000Z"), "2026-10-19")
+  assert.equal(storeDay("2026-10-20T01:30:00.000Z", "UTC"), "2026-10-20")
+  assert.equal(storeDay("2026-10-20T01:30:00.000Z", "Not/AZone"), "2026-10-19")
+})
+
+test("without a configured timezone the day is Caracas's", () => {
+  assert.equal(storeDay("2026-10-20T03:30:00.000Z"), "2026-10-19")
+  assert.equal(storeDay("2026-10-20T03:30:00.000Z", "America/Argentina/Buenos_Aires"), "2026-10-20")
+})
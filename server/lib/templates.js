@@ -0,0 +1,165 @@
+import { priceProductForTier, tierForClient } from "./pricing.js"
+import { currencySettings, formatDual } from "./currency.js"
+
+// Campaign email templates: HTML with {{variable}} or {{variable|fallback}} placeholders.
+// Values are HTML-escaped except the blocks the engine builds itself (logo, productos).
+
+const HTML_VARIABLES = ["logo", "productos"]
+
+export const DEFAULT_CAMPAIGN_TEMPLATE = {
+  id: "default",
+  name: "Lista de precios (predeterminada)",
+  subject: "",
+  productIds: [],
+  html: `<div style="font-family: sans-serif; padding: 20px; border: 1px solid #eee; border-radius: 8px;">
+  {{logo}}
+  <h2>{{asunto}}</h2>
+  <p>{{saludo}}</p>
+  <p>Adjunto encontrarás nuestra lista de precios actualizada.</p>
+  {{productos}}
+  <p style="margin: 20px 0;">
+    <a href="{{link_descarga}}" style="background: #4f46e5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold;">Descargar Lista de Precios</a>
+  </p>
+  <p style="font-size: 12px; color: #666; margin-top: 15px;">O copia este enlace: <br>{{link_descarga}}</p>
+  <p style="font-size: 11px; color: #999; margin-top: 20px;">Si no quieres recibir más correos, <a href="{{link_baja}}" style="color: #999;">date de baja aquí</a>.</p>
+</div>`
+}
+
+export function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+}
+
+function decodeEntities(s) {
+  return s
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(Number(d)))
+    .replace(/&amp;/g, "&")
+}
+
+function absoluteUrl(url, baseUrl) {
+  if (!url) return ""
+  return /^https?:\/\//i.test(url) ? url : `${baseUrl}${url.startsWith("/") ? "" : "/"}${url}`
+}
+
+function formatPrice(price, currency) {
+  return price == null ? "Consultar precio" : escapeHtml(formatDual(price, currency))
+}
+
+// Two cards per row in a table, the layout most mail clients render reliably. `products` come as
+// customers see them (kits filled in, prices in the store currency), so the email quotes what the
+// store does.
+export function productCardsHtml(products, { baseUrl, tier, currency = currencySettings({}) } = {}) {
+  if (!products.length) return ""
+  const cells = products.map(p => {
+    const priced = priceProductForTier(p, tier)
+    const img = absoluteUrl(p.img, baseUrl)
+    return `<td width="50%" valign="top" style="padding: 6px;">
+        <div style="border: 1px solid #eee; border-radius: 8px; padding: 10px; text-align: center;">
+          ${img ? `<img src="${escapeHtml(img)}" alt="${escapeHtml(p.name)}" width="160" style="max-width: 100%; height: auto; border-radius: 6px;" />` : ""}
+          <div style="font-weight: bold; font-size: 14px; margin-top: 6px;">${escapeHtml(p.name)}</div>
+          ${p.code ? `<div style="font-size: 11px; color: #666;">Cód. ${escapeHtml(p.code)}</div>` : ""}
+          <div style="color: #4f46e5; font-weight: bold; margin-top: 4px;">${formatPrice(priced.price, currency)}</div>
+        </div>
+      </td>`
+  })
+  const rows = []
+  for (let i = 0; i < cells.length; i += 2) rows.push(`<tr>${cells.slice(i, i + 2).join("")}</tr>`)
+  return `<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="margin: 15px 0;">${rows.join("")}</table>`
+}
+
+// Wholesale prices only go to clients already approved for the portal
+export function templateVariables({ client, email, subject, downloadUrl, unsubscribeUrl, logoUrl, products = [], baseUrl = "", currency }) {
+  const c = client || {}
+  const nombre = c.nombre || ""
+  const fullName = [c.nombre, c.apellido].filter(Boolean).join(" ")
+  const tier = c.portalApproved === true ? tierForClient(c) : null
+  const logo = absoluteUrl(logoUrl, baseUrl)
+  return {
+    nombre,
+    apellido: c.apellido || "",
+    nombre_completo: fullName,
+    saludo: nombre ? `Hola ${nombre},` : "Hola,",
+    email: email || c.email || "",
+    celular: c.celular || "",
+    zona: c.zona || "",
+    tipo: c.tipo || "",
+    asunto: subject || "",
+    fecha: new Date().toLocaleDateString("es-AR"),
+    link_descarga: downloadUrl || "",
+    link_baja: unsubscribeUrl || "",
+    logo_url: logo,
+    logo: logo ? `<img src="${escapeHtml(logo)}" alt="Logo" style="max-height: 60px; margin-bottom: 10px;" />` : "",
+    productos: productCardsHtml(products, { baseUrl, tier, currency })
+  }
+}
+
+// html: false renders plain text (subjects); engine-built HTML blocks are left out there
+export function renderTemplate(source, vars, { html = true } = {}) {
+  return String(source || "").replace(/\{\{\s*([a-z_]+)\s*(?:\|([^}]*))?\}\}/gi, (_, name, fallback) => {
+    const key = name.toLowerCase()
+    if (HTML_VARIABLES.includes(key)) return html ? vars[key] || "" : ""
+    const value = vars[key] == null || vars[key] === "" ? (fallback ?? "").trim() : String(vars[key])
+    return html ? escapeHtml(value) : value
+  })
+}
+
+function stripTags(s) {
+  return s.replace(/<[^>]+>/g, "")
+}
+
+// Plain-text alternative of a rendered email: links keep their URL, blocks become lines
+export function htmlToText(html) {
+  const text = String(html || "")
+    .replace(/<(style|script|head)\b[\s\S]*?<\/\1>/gi, "")
+    .replace(/<a\b[^>]*?href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (_, href, label) => {
+      const labelText = stripTags(label).replace(/\s+/g, " ").trim()
+      return !labelText || labelText === href ? href : `${labelText}: ${href}`
+    })
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<li\b[^>]*>/gi, "- ")
+    .replace(/<\/(p|div|h[1-6]|li|tr|table)>/gi, "\n")
+    .replace(/<\/td>/gi, "\n")
+  return decodeEntities(stripTags(text))
+    .split("\n")
+    .map(line => line.replace(/[ \t]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim()
+}
+
+// Templates without {{link_baja}} still get an opt-out line at the bottom
+function unsubscribeFooter(url) {
+  return `<p style="font-size: 11px; color: #999; margin-top: 20px; text-align: center;">Si no quieres recibir más correos, <a href="${escapeHtml(url)}" style="color: #999;">date de baja aquí</a>.</p>`
+}
+
+// The subject may use variables too; {{asunto}} in the body shows it already filled in
+export function renderCampaignTemplate(template, vars) {
+  const subject = renderTemplate(vars.asunto, vars, { html: false })
+  let html = renderTemplate(template.html, { ...vars, asunto: subject })
+  if (vars.link_baja && !/\{\{\s*link_baja\b/i.test(template.html)) html += "\n" + unsubscribeFooter(vars.link_baja)
+  return { subject, html, text: htmlToText(html) }
+}
+
+// Editable fields of a stored template; returns null when name or body is missing
+export function templateFields(body) {
+  const name = String(body?.name || "").trim()
+  const html = String(body?.html || "").trim()
+  if (!name || !html) return null
+  return {
+    name,
+    subject: String(body.subject || "").trim(),
+    html,
+    productIds: (Array.isArray(body.productIds) ? body.productIds : [])
+      .map(Number)
+      .filter(id => Number.isInteger(id) && id > 0)
+  }
+}
@@ -0,0 +1,46 @@
+import { escapeHtml } from "./templates.js"
+
+// Public page behind the unsubscribe link. GET only asks for confirmation (mail scanners open
+// links on their own); the form POSTs back to the same URL to record the opt-out.
+
+function layout(body) {
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Darse de baja</title>
+  <script src="https://cdn.tailwindcss.com"></script>
+</head>
+<body class="bg-slate-50 flex items-center justify-center min-h-screen p-4">
+  <div class="bg-white p-8 rounded-2xl shadow-xl max-w-md w-full border border-slate-100 text-center">
+    ${body}
+  </div>
+</body>
+</html>`
+}
+
+export function unsubscribePage({ email, reasons = [], done = false, invalid = false }) {
+  if (invalid) {
+    return layout(`
+    <h1 class="text-xl font-bold text-slate-900">Enlace no válido</h1>
+    <p class="text-slate-600 text-sm mt-2">El enlace de baja está incompleto o fue modificado. Copia el enlace completo desde el correo o escríbenos para darte de baja.</p>`)
+  }
+  if (done) {
+    return layout(`
+    <h1 class="text-xl font-bold text-slate-900">Listo, te diste de baja</h1>
+    <p class="text-slate-600 text-sm mt-2"><strong>${escapeHtml(email)}</strong> no recibirá más correos de nuestras campañas.</p>`)
+  }
+  const options = reasons.map(r => `<option value="${escapeHtml(r)}">${escapeHtml(r)}</option>`).join("")
+  return layout(`
+    <h1 class="text-xl font-bold text-slate-900">¿Dejar de recibir correos?</h1>
+    <p class="text-slate-600 text-sm mt-2">Vamos a dejar de enviar campañas a <strong>${escapeHtml(email)}</strong>.</p>
+    <form method="POST" class="mt-6 space-y-4 text-left">
+      <label class="block text-sm font-medium text-slate-700">Motivo (opcional)</label>
+      <select name="reason" class="block w-full border border-slate-300 rounded-md py-2 px-3 text-sm">
+        <option value="">Prefiero no decirlo</option>
+        ${options}
+      </select>
+      <button type="submit" class="w-full bg-indigo-600 text-white rounded-md px-4 py-2 font-medium hover:bg-indigo-700">Confirmar baja</button>
+    </form>`)
+}
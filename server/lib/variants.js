@@ -0,0 +1,131 @@
+// Product variants. A parent product (with `variantAxes`) groups sellable variants: regular product
+// rows with `parentId` and `variantOptions` ({ calibre, color, presentacion }), each with its own
+// code, SKU, prices, stock and image. Orders, stock and prices keep working per row; the storefront
+// shows one card per parent with pickers for the axes.
+
+export const VARIANT_AXES = ["calibre", "color", "presentacion"]
+export const VARIANT_AXIS_LABELS = { calibre: "Calibre", color: "Color", presentacion: "Presentación" }
+
+export function isVariantParent(p) {
+  return Array.isArray(p?.variantAxes) && p.variantAxes.length > 0
+}
+
+export function isVariant(p) {
+  return p?.parentId != null && p.parentId !== ""
+}
+
+export function cleanAxes(value) {
+  const list = Array.isArray(value) ? value : String(value ?? "").split(",")
+  const axes = list.map(a => String(a).trim().toLowerCase())
+  return VARIANT_AXES.filter(a => axes.includes(a))
+}
+
+// Known axes only, trimmed, empty values dropped
+export function cleanOptions(value, axes = VARIANT_AXES) {
+  const out = {}
+  for (const a of axes) {
+    const v = String(value?.[a] ?? "").trim()
+    if (v) out[a] = v
+  }
+  return out
+}
+
+// "#12 · Rojo · Rollo 100 m"; a bare number as calibre reads as a wire gauge
+export function variantLabel(options) {
+  return VARIANT_AXES
+    .filter(a => options?.[a])
+    .map(a => (a === "calibre" && /^\d+$/.test(options[a]) ? `#${options[a]}` : options[a]))
+    .join(" · ")
+}
+
+export function variantName(parent, options) {
+  const label = variantLabel(options)
+  return label ? `${parent.name} (${label})` : parent.name
+}
+
+function sameOptions(a, b) {
+  return VARIANT_AXES.every(x => (a?.[x] || "") === (b?.[x] || ""))
+}
+
+// Checks and normalizes the variant fields of a product about to be saved. Returns
+// { fields } or { error }; `products` is the current catalog.
+export function variantFields(fields, products, selfId = null) {
+  const out = { ...fields }
+  const self = selfId == null ? null : products.find(p => p.id === selfId)
+  if ("variantAxes" in out) {
+    out.variantAxes = cleanAxes(out.variantAxes)
+    if (!out.variantAxes.length) out.variantAxes = undefined
+  }
+  if ("parentId" in out && (out.parentId == null || out.parentId === "")) out.parentId = undefined
+  const axes = "variantAxes" in out ? out.variantAxes : self?.variantAxes
+  const parentId = "parentId" in out ? out.parentId : self?.parentId
+  if (parentId == null) {
+    if ("parentId" in out) out.variantOptions = undefined
+    return { fields: out }
+  }
+  if (axes && axes.length) return { error: "parent_cannot_be_variant" }
+  if (selfId != null && products.some(p => p.parentId === selfId)) return { error: "parent_cannot_be_variant" }
+  const parent = products.find(p => p.id === Number(parentId))
+  if (!parent || !isVariantParent(parent) || parent.id === selfId) return { error: "invalid_parent" }
+  out.parentId = parent.id
+  const options = cleanOptions("variantOptions" in out ? out.variantOptions : self?.variantOptions, parent.variantAxes)
+  if (!Object.keys(options).length) return { error: "variant_options_required" }
+  if (products.some(p => p.parentId === parent.id && p.id !== selfId && sameOptions(p.variantOptions, options))) {
+    return { error: "duplicate_variant" }
+  }
+  out.variantOptions = options
+  if ("name" in out && !String(out.name || "").trim()) out.name = variantName(parent, options)
+  return { fields: out }
+}
+
+// Name a customer should read for a product: variants carry their parent's name and options
+export function displayName(product, products) {
+  if (!isVariant(product)) return product.name || ""
+  const parent = products.find(p => p.id === product.parentId)
+  return parent ? variantName(parent, product.variantOptions) : product.name || ""
+}
+
+// Products a customer can buy (parents are only a grouping), named as variants where they are one
+export function sellableProducts(products) {
+  return products
+    .filter(p => !isVariantParent(p))
+    .map(p => (isVariant(p) ? { ...p, name: displayName(p, products), variantLabel: variantLabel(p.variantOptions) } : p))
+}
+
+// One storefront card per parent with its variants inside; standalone products pass through and a
+// variant whose parent is gone is shown on its own. The card takes the lowest variant price.
+export function catalogCards(products) {
+  const parents = new Map(products.filter(isVariantParent).map(p => [p.id, { ...p, variants: [] }]))
+  const cards = []
+  for (const p of products) {
+    if (isVariantParent(p)) continue
+    const parent = isVariant(p) ? parents.get(p.parentId) : null
+    if (!parent) {
+      cards.push(p)
+      continue
+    }
+    parent.variants.push({
+      ...p,
+      name: variantName(parent, p.variantOptions),
+      variantLabel: variantLabel(p.variantOptions),
+      img: p.img || parent.img || "",
+      category: parent.category,
+      subcategory: parent.subcategory
+    })
+  }
+  for (const parent of parents.values()) {
+    if (!parent.variants.length) continue
+    const order = v => parent.variantAxes.map(a => v.variantOptions?.[a] || "").join("\u0000")
+    parent.variants.sort((a, b) => order(a).localeCompare(order(b), "es", { numeric: true }))
+    const priced = parent.variants.filter(v => v.price != null)
+    const cheapest = priced.reduce((best, v) => (best && best.price <= v.price ? best : v), null)
+    parent.price = cheapest ? cheapest.price : null
+    parent.retailPrice = cheapest ? cheapest.retailPrice : undefined
+    parent.priceTier = cheapest ? cheapest.priceTier : parent.priceTier
+    parent.priceFrom = new Set(priced.map(v => v.price)).size > 1
+    parent.available = parent.variants.some(v => !v.available || v.available === "Disponible") ? "Disponible" : "Agotado"
+    if (!parent.img) parent.img = parent.variants[0].img
+    cards.push(parent)
+  }
+  return cards
+}
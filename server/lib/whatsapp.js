@@ -0,0 +1,80 @@
+import crypto from "crypto"
+import fetch from "node-fetch"
+
+// WhatsApp Cloud API: webhook handshake, payload signature, inbound message parsing and the
+// outbound sender. Without WHATSAPP_TOKEN / WHATSAPP_PHONE_NUMBER_ID the sender only logs, like
+// the email transport in simulation mode.
+
+const GRAPH_VERSION = "v19.0"
+// Longest text body the Cloud API accepts
+const MAX_TEXT_LENGTH = 4096
+
+// Echoes hub.challenge when Meta subscribes with our verify token; null means refuse
+export function verifyWebhook(query, verifyToken) {
+  if (!verifyToken) return null
+  if (query["hub.mode"] !== "subscribe" || query["hub.verify_token"] !== verifyToken) return null
+  return String(query["hub.challenge"] ?? "")
+}
+
+export function signPayload(rawBody, appSecret) {
+  return "sha256=" + crypto.createHmac("sha256", appSecret).update(rawBody).digest("hex")
+}
+
+// X-Hub-Signature-256 is an HMAC of the raw request body with the app secret
+export function validSignature(rawBody, header, appSecret) {
+  if (!rawBody || !header || !appSecret) return false
+  const expected = Buffer.from(signPayload(rawBody, appSecret))
+  const given = Buffer.from(String(header))
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given)
+}
+
+// Text messages of a webhook call as [{ id, from, name, text }]; statuses and media are skipped
+export function inboundMessages(body) {
+  const out = []
+  for (const entry of body?.entry || []) {
+    for (const change of entry?.changes || []) {
+      const value = change?.value || {}
+      const names = new Map((value.contacts || []).map(c => [c.wa_id, c.profile?.name || ""]))
+      for (const m of value.messages || []) {
+        const text = m.type === "text" ? m.text?.body : m.type === "button" ? m.button?.text : ""
+        if (!m.from || !text) continue
+        out.push({ id: m.id || "", from: String(m.from), name: names.get(m.from) || "", text: String(text) })
+      }
+    }
+  }
+  return out
+}
+
+export function normalizePhone(value) {
+  return String(value || "").replace(/\D/g, "")
+}
+
+// Seller numbers that receive confirmed chat orders (WHATSAPP_SELLER_NUMBERS, comma separated)
+export function sellerNumbers() {
+  return String(process.env.WHATSAPP_SELLER_NUMBERS || "").split(",").map(normalizePhone).filter(Boolean)
+}
+
+export function createWhatsAppSender({ token, phoneNumberId } = {}) {
+  if (!token || !phoneNumberId) {
+    return {
+      simulated: true,
+      sendText: async (to, text) => {
+        console.log(`[SIMULATION] WhatsApp to ${to}:\n${text}`)
+        return { id: "simulated-" + Date.now() }
+      }
+    }
+  }
+  return {
+    simulated: false,
+    sendText: async (to, text) => {
+      const res = await fetch(`https://graph.facebook.com/${GRAPH_VERSION}/${phoneNumberId}/messages`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+        body: JSON.stringify({ messaging_product: "whatsapp", to, type: "text", text: { body: String(text).slice(0, MAX_TEXT_LENGTH) } })
+      })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) throw new Error(data?.error?.message || `whatsapp_http_${res.status}`)
+      return { id: data?.messages?.[0]?.id || "" }
+    }
+  }
+}
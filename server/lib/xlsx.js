@@ -0,0 +1,122 @@
+import zlib from "zlib"
+
+// Minimal reader for the first worksheet of an .xlsx file (a zip of XML parts).
+// It only extracts cell values, which is all the catalog import needs.
+
+function readZipEntries(buf) {
+  let eocd = -1
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) {
+      eocd = i
+      break
+    }
+  }
+  if (eocd < 0) throw new Error("invalid_zip")
+  const count = buf.readUInt16LE(eocd + 10)
+  let ptr = buf.readUInt32LE(eocd + 16)
+  const entries = {}
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(ptr) !== 0x02014b50) throw new Error("invalid_zip")
+    const method = buf.readUInt16LE(ptr + 10)
+    const compressedSize = buf.readUInt32LE(ptr + 20)
+    const nameLen = buf.readUInt16LE(ptr + 28)
+    const extraLen = buf.readUInt16LE(ptr + 30)
+    const commentLen = buf.readUInt16LE(ptr + 32)
+    const localOffset = buf.readUInt32LE(ptr + 42)
+    const name = buf.toString("utf-8", ptr + 46, ptr + 46 + nameLen)
+    entries[name] = { method, compressedSize, localOffset }
+    ptr += 46 + nameLen + extraLen + commentLen
+  }
+  return entries
+}
+
+function readZipFile(buf, entries, name) {
+  const e = entries[name]
+  if (!e) return null
+  const p = e.localOffset
+  if (buf.readUInt32LE(p) !== 0x04034b50) throw new Error("invalid_zip")
+  const start = p + 30 + buf.readUInt16LE(p + 26) + buf.readUInt16LE(p + 28)
+  const data = buf.subarray(start, start + e.compressedSize)
+  if (e.method === 0) return data.toString("utf-8")
+  if (e.method === 8) return zlib.inflateRawSync(data).toString("utf-8")
+  throw new Error("unsupported_zip_method")
+}
+
+function decodeXml(s) {
+  return String(s)
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(Number(d)))
+    .replace(/&amp;/g, "&")
+}
+
+function textRuns(xml) {
+  let out = ""
+  const re = /<t\b[^>]*>([\s\S]*?)<\/t>/g
+  let m
+  while ((m = re.exec(xml))) out += decodeXml(m[1])
+  return out
+}
+
+function columnIndex(ref) {
+  const letters = String(ref || "").replace(/[^A-Z]/gi, "").toUpperCase()
+  let n = 0
+  for (const ch of letters) n = n * 26 + (ch.charCodeAt(0) - 64)
+  return n - 1
+}
+
+function firstSheetPath(buf, entries) {
+  const workbook = readZipFile(buf, entries, "xl/workbook.xml")
+  const rels = readZipFile(buf, entries, "xl/_rels/workbook.xml.rels")
+  if (workbook && rels) {
+    const sheet = workbook.match(/<sheet\b[^>]*\br:id="([^"]+)"/)
+    if (sheet) {
+      const rel = rels.match(new RegExp(`<Relationship\\b[^>]*\\bId="${sheet[1]}"[^>]*>`))
+      const target = rel && rel[0].match(/\bTarget="([^"]+)"/)
+      if (target) {
+        const t = target[1].replace(/^\//, "")
+        return t.startsWith("xl/") ? t : "xl/" + t
+      }
+    }
+  }
+  return "xl/worksheets/sheet1.xml"
+}
+
+// Returns the first sheet as an array of rows, each an array of cell strings
+export function readXlsxRows(buf) {
+  const entries = readZipEntries(buf)
+  const sharedXml = readZipFile(buf, entries, "xl/sharedStrings.xml") || ""
+  const shared = []
+  const siRe = /<si\b[^>]*>([\s\S]*?)<\/si>/g
+  let m
+  while ((m = siRe.exec(sharedXml))) shared.push(textRuns(m[1]))
+
+  const sheetXml = readZipFile(buf, entries, firstSheetPath(buf, entries))
+  if (!sheetXml) throw new Error("sheet_not_found")
+  const rows = []
+  const rowRe = /<row\b[^>]*>([\s\S]*?)<\/row>/g
+  while ((m = rowRe.exec(sheetXml))) {
+    const row = []
+    const cellRe = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g
+    let c
+    while ((c = cellRe.exec(m[1]))) {
+      const attrs = c[1]
+      const body = c[2] || ""
+      const ref = (attrs.match(/\br="([^"]+)"/) || [])[1]
+      const type = (attrs.match(/\bt="([^"]+)"/) || [])[1] || "n"
+      const v = (body.match(/<v>([\s\S]*?)<\/v>/) || [])[1]
+      let value = ""
+      if (type === "s") value = shared[Number(v)] ?? ""
+      else if (type === "inlineStr") value = textRuns(body)
+      else if (v != null) value = decodeXml(v)
+      const idx = ref ? columnIndex(ref) : row.length
+      while (row.length < idx) row.push("")
+      row[idx] = value
+    }
+    rows.push(row)
+  }
+  return rows
+}
@@ -0,0 +1,73 @@
+// One-shot import of the legacy data/*.json files into the SQLite database.
+// Usage: npm run db:import [-- --force]
+// Collections that already have rows are skipped unless --force is given, which replaces them.
+import fs from "fs"
+import path from "path"
+import { fileURLToPath } from "url"
+import dotenv from "dotenv"
+import { initDb } from "../lib/db.js"
+import * as repo from "../lib/repository.js"
+
+dotenv.config()
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const dataDir = path.join(__dirname, "..", "..", "data")
+const force = process.argv.includes("--force")
+
+const SOURCES = [
+  ["products.json", repo.products],
+  ["clients.json", repo.clients],
+  ["campaigns.json", repo.campaigns],
+  ["catalogs.json", repo.catalogs],
+  ["orders.json", repo.orders],
+  ["stock_movements.json", repo.stockMovements],
+  ["portal_sessions.json", repo.portalSessions]
+]
+
+function readJson(file) {
+  const full = path.join(dataDir, file)
+  if (!fs.existsSync(full)) return undefined
+  // Unlike the old readData, a broken file stops the import instead of turning into []
+  try {
+    return JSON.parse(fs.readFileSync(full, "utf-8"))
+  } catch (e) {
+    throw new Error(`${file}: ${e.message}`)
+  }
+}
+
+initDb()
+
+try {
+  const plan = []
+  for (const [file, collection] of SOURCES) {
+    const data = readJson(file)
+    if (data === undefined) continue
+    if (!Array.isArray(data)) throw new Error(`${file}: se esperaba un arreglo`)
+    plan.push([file, collection, data])
+  }
+  const configData = readJson("config.json")
+
+  repo.transaction(() => {
+    for (const [file, collection, data] of plan) {
+      if (collection.count() && !force) {
+        console.log(`- ${file}: omitido, la tabla ya tiene ${collection.count()} filas (usar --force para reemplazar)`)
+        continue
+      }
+      collection.replaceAll(data.filter(item => item && typeof item === "object"))
+      console.log(`- ${file}: ${collection.count()} filas importadas`)
+    }
+    if (configData && typeof configData === "object" && !Array.isArray(configData)) {
+      if (Object.keys(repo.config.get()).length && !force) {
+        console.log("- config.json: omitido, la configuración ya existe (usar --force para reemplazar)")
+      } else {
+        repo.config.merge(configData)
+        console.log(`- config.json: ${Object.keys(configData).length} claves importadas`)
+      }
+    }
+  })
+  console.log("Importación terminada. Los archivos JSON quedan como copia de respaldo.")
+} catch (e) {
+  console.error("Error en la importación, no se guardó nada:", e.message)
+  process.exitCode = 1
+}
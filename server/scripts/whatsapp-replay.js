@@ -0,0 +1,80 @@
+// Stand-in for Meta: sends WhatsApp Cloud API webhook payloads to a running server, signed with
+// WHATSAPP_APP_SECRET, so the chat channel can be tried without a WhatsApp Business account.
+// Usage: npm run whatsapp:replay [-- --url http://localhost:3000 --from 573001112233 "mensaje" ...]
+// Without messages it replays a sample conversation (question, cable, add to cart, confirm).
+// Replies show up in the server console while WHATSAPP_TOKEN is empty (simulation mode).
+import crypto from "crypto"
+import fetch from "node-fetch"
+import dotenv from "dotenv"
+import { signPayload } from "../lib/whatsapp.js"
+
+dotenv.config()
+
+const SAMPLE_CONVERSATION = ["Hola", "necesito cable", "#8 rojo", "agregar 1 x 2", "carrito", "confirmar"]
+// Pause between messages so the replies come out in order in the server console
+const PAUSE_MS = 500
+
+function readArgs(argv) {
+  const args = { url: `http://localhost:${process.env.PORT || 3000}`, from: "573000000000", name: "Cliente de prueba", messages: [] }
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i]
+    if (a === "--url") args.url = argv[++i]
+    else if (a === "--from") args.from = argv[++i]
+    else if (a === "--name") args.name = argv[++i]
+    else args.messages.push(a)
+  }
+  if (!args.messages.length) args.messages = SAMPLE_CONVERSATION
+  return args
+}
+
+// Same shape Meta posts for an incoming text message
+function textPayload({ from, name, text }) {
+  return {
+    object: "whatsapp_business_account",
+    entry: [{
+      id: "replay",
+      changes: [{
+        field: "messages",
+        value: {
+          messaging_product: "whatsapp",
+          metadata: { display_phone_number: "0000000000", phone_number_id: process.env.WHATSAPP_PHONE_NUMBER_ID || "replay" },
+          contacts: [{ profile: { name }, wa_id: from }],
+          messages: [{ from, id: `wamid.replay.${crypto.randomBytes(8).toString("hex")}`, timestamp: String(Math.floor(Date.now() / 1000)), type: "text", text: { body: text } }]
+        }
+      }]
+    }]
+  }
+}
+
+async function verifyHandshake(url) {
+  const token = process.env.WHATSAPP_VERIFY_TOKEN
+  if (!token) return console.log("WHATSAPP_VERIFY_TOKEN vacío: se omite la verificación del webhook.")
+  const res = await fetch(`${url}/api/whatsapp/webhook?hub.mode=subscribe&hub.verify_token=${encodeURIComponent(token)}&hub.challenge=replay-ok`)
+  const body = await res.text()
+  console.log(res.ok && body === "replay-ok" ? "Verificación del webhook: OK" : `Verificación del webhook falló (${res.status}): ${body}`)
+}
+
+async function main() {
+  const secret = process.env.WHATSAPP_APP_SECRET
+  if (!secret) {
+    console.error("Falta WHATSAPP_APP_SECRET en .env (el mismo que usa el servidor).")
+    process.exit(1)
+  }
+  const args = readArgs(process.argv.slice(2))
+  await verifyHandshake(args.url)
+  for (const text of args.messages) {
+    const raw = JSON.stringify(textPayload({ from: args.from, name: args.name, text }))
+    const res = await fetch(`${args.url}/api/whatsapp/webhook`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-Hub-Signature-256": signPayload(raw, secret) },
+      body: raw
+    })
+    console.log(`> ${text}  [${res.status}]`)
+    await new Promise(resolve => setTimeout(resolve, PAUSE_MS))
+  }
+}
+
+main().catch(err => {
+  console.error(err.message)
+  process.exit(1)
+})